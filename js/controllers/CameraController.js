@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+import { CAMERA } from '../core/Constants.js';
+
+const LEFT_BUTTON = 0;
+const RIGHT_BUTTON = 2;
+
+// Third-person camera that follows the character. Left-drag orbits around it,
+// right-drag orbits and turns the character with the camera (mouselook), the
+// wheel zooms between CAMERA.MIN_DISTANCE and MAX_DISTANCE. The camera is
+// pulled in front of static geometry and kept above the terrain. With an
+// InputManager the CAMERA_* actions (the right stick by default) orbit too.
+export class CameraController {
+  constructor(camera, domElement, character, { physics = null, terrain = null, input = null } = {}) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.character = character;
+    this.physics = physics;
+    this.terrain = terrain;
+    this.input = input;
+
+    // Orbit around the focus point, yaw 0 looks down +z like the movement code
+    this.yaw = character.character.rotation.y;
+    this.pitch = CAMERA.INITIAL_PITCH;
+    this.distance = CAMERA.INITIAL_DISTANCE;
+    this.targetDistance = CAMERA.INITIAL_DISTANCE;
+
+    this.focus = new THREE.Vector3();
+    this.desiredPosition = new THREE.Vector3();
+    this.offset = new THREE.Vector3();
+
+    this.buttons = new Set();
+    this.lastPointer = null;
+
+    this.getFocusTarget(this.focus);
+    this.setupControls();
+    this.update(0);
+  }
+
+  setupControls() {
+    this.onPointerDown = (event) => {
+      if (event.button !== LEFT_BUTTON && event.button !== RIGHT_BUTTON) return;
+
+      this.buttons.add(event.button);
+      this.lastPointer = { x: event.clientX, y: event.clientY };
+      this.domElement.setPointerCapture(event.pointerId);
+      this.updateMouseLook();
+    };
+
+    this.onPointerMove = (event) => {
+      if (this.buttons.size === 0 || !this.lastPointer) return;
+
+      const deltaX = event.clientX - this.lastPointer.x;
+      const deltaY = event.clientY - this.lastPointer.y;
+      this.lastPointer = { x: event.clientX, y: event.clientY };
+
+      // Dragging right swings the camera around to the left of the character
+      this.yaw -= deltaX * CAMERA.ROTATE_SPEED;
+      this.pitch = THREE.MathUtils.clamp(
+        this.pitch + deltaY * CAMERA.ROTATE_SPEED,
+        CAMERA.MIN_PITCH,
+        CAMERA.MAX_PITCH
+      );
+    };
+
+    this.onPointerUp = (event) => {
+      this.buttons.delete(event.button);
+      if (this.buttons.size === 0) {
+        this.lastPointer = null;
+        if (this.domElement.hasPointerCapture(event.pointerId)) {
+          this.domElement.releasePointerCapture(event.pointerId);
+        }
+      }
+      this.updateMouseLook();
+    };
+
+    this.onWheel = (event) => {
+      event.preventDefault();
+      this.targetDistance = THREE.MathUtils.clamp(
+        this.targetDistance * (1 + event.deltaY * CAMERA.ZOOM_SPEED),
+        CAMERA.MIN_DISTANCE,
+        CAMERA.MAX_DISTANCE
+      );
+    };
+
+    // Right-drag needs the browser menu out of the way
+    this.onContextMenu = (event) => event.preventDefault();
+
+    this.domElement.addEventListener('pointerdown', this.onPointerDown);
+    this.domElement.addEventListener('pointermove', this.onPointerMove);
+    this.domElement.addEventListener('pointerup', this.onPointerUp);
+    this.domElement.addEventListener('pointercancel', this.onPointerUp);
+    this.domElement.addEventListener('wheel', this.onWheel, { passive: false });
+    this.domElement.addEventListener('contextmenu', this.onContextMenu);
+  }
+
+  // Holding the right button turns the character with the camera
+  updateMouseLook() {
+    this.character.setMouseLook(this.buttons.has(RIGHT_BUTTON));
+  }
+
+  getFocusTarget(target) {
+    return target.copy(this.character.character.position).setY(
+      this.character.character.position.y + CAMERA.TARGET_HEIGHT
+    );
+  }
+
+  // Analog orbit, scaled by how far the stick is pushed
+  applyGamepadRotation(deltaTime) {
+    if (!this.input) return;
+
+    const horizontal = this.input.getActionValue('CAMERA_RIGHT') - this.input.getActionValue('CAMERA_LEFT');
+    const vertical = this.input.getActionValue('CAMERA_DOWN') - this.input.getActionValue('CAMERA_UP');
+    if (horizontal === 0 && vertical === 0) return;
+
+    const step = CAMERA.GAMEPAD_ROTATE_SPEED * deltaTime;
+    this.yaw -= horizontal * step;
+    this.pitch = THREE.MathUtils.clamp(this.pitch + vertical * step, CAMERA.MIN_PITCH, CAMERA.MAX_PITCH);
+  }
+
+  update(deltaTime) {
+    this.applyGamepadRotation(deltaTime);
+
+    // Frame-rate independent smoothing, a deltaTime of 0 snaps
+    const follow = deltaTime > 0 ? 1 - Math.exp(-CAMERA.FOLLOW_SMOOTHING * deltaTime) : 1;
+    const zoom = deltaTime > 0 ? 1 - Math.exp(-CAMERA.ZOOM_SMOOTHING * deltaTime) : 1;
+
+    this.focus.lerp(this.getFocusTarget(this.desiredPosition), follow);
+    this.distance += (this.targetDistance - this.distance) * zoom;
+
+    // Camera sits behind the yaw heading, raised by the pitch
+    const horizontal = Math.cos(this.pitch);
+    this.offset.set(
+      -Math.sin(this.yaw) * horizontal,
+      Math.sin(this.pitch),
+      -Math.cos(this.yaw) * horizontal
+    );
+
+    const distance = this.getUnobstructedDistance(this.offset, this.distance);
+    this.camera.position.copy(this.focus).addScaledVector(this.offset, distance);
+
+    // Never dip under the ground, e.g. when looking up from below
+    if (this.terrain) {
+      const { x, z } = this.camera.position;
+      const minY = this.terrain.getHeightAt(x, z) + CAMERA.COLLISION_MARGIN;
+      this.camera.position.y = Math.max(this.camera.position.y, minY);
+    }
+
+    this.camera.lookAt(this.focus);
+  }
+
+  // Shorten the boom so the camera stays in front of the first static surface
+  getUnobstructedDistance(direction, distance) {
+    if (!this.physics) return distance;
+
+    this.desiredPosition.copy(this.focus).addScaledVector(direction, distance + CAMERA.COLLISION_MARGIN);
+    const hitDistance = this.physics.raycastStatic(this.focus, this.desiredPosition);
+    if (hitDistance === null) return distance;
+
+    return THREE.MathUtils.clamp(hitDistance - CAMERA.COLLISION_MARGIN, 0.1, distance);
+  }
+
+  dispose() {
+    this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+    this.domElement.removeEventListener('pointermove', this.onPointerMove);
+    this.domElement.removeEventListener('pointerup', this.onPointerUp);
+    this.domElement.removeEventListener('pointercancel', this.onPointerUp);
+    this.domElement.removeEventListener('wheel', this.onWheel);
+    this.domElement.removeEventListener('contextmenu', this.onContextMenu);
+    this.character.setMouseLook(false);
+  }
+}
@@ -0,0 +1,85 @@
+import { ANIMATION } from '../core/Constants.js';
+
+// One-shot clips the upper body layer plays over locomotion, fired by name
+export const UPPER_BODY_ACTIONS = ['ATTACK', 'BLOCK', 'SLASH', 'POWER_UP'];
+
+// Combo follow-ups cut into the recovery of the swing before them. AbilitySystem
+// only fires them inside a chain, so they may interrupt.
+export const COMBO_ACTIONS = [
+  'ATTACK_2', 'ATTACK_3', 'KICK', 'SLASH_2', 'SLASH_3', 'SLASH_4', 'SLASH_5'
+];
+
+const oneShot = (clip) => ({ clip, loop: false });
+
+// Drawing is the sheath clip played backwards, EquipmentSystem moves the
+// weapons between sockets part way through either one
+const SHEATH_STATES = {
+  SHEATH: oneShot('SHEATH'),
+  UNSHEATHE: { ...oneShot('SHEATH'), timeScale: -1 }
+};
+
+// One-shots played on other clients too, the only animations the server
+// replicates for a player (see ServerPlayer.playAction)
+export const REPLICATED_ACTIONS = ['JUMP', ...UPPER_BODY_ACTIONS, ...COMBO_ACTIONS, ...Object.keys(SHEATH_STATES)];
+
+// Animation graph of the player character, see AnimationStateMachine.
+//
+// Parameters: moving, running, backward (backpedalling while mouselooking),
+// strafe (-1 left, 1 right, 0 none while mouselooking) and dead.
+// Triggers: JUMP, SHEATH, UNSHEATHE, UPPER_BODY_ACTIONS and COMBO_ACTIONS.
+export const CHARACTER_ANIMATION_GRAPH = {
+  parts: { upper: ANIMATION.UPPER_BODY_ROOT, lower: null },
+  parameters: { moving: false, running: false, backward: false, strafe: 0, dead: false },
+  layers: [
+    {
+      name: 'locomotion',
+      initial: 'IDLE',
+      states: {
+        IDLE: { clip: 'IDLE' },
+        WALK: { clip: 'WALK' },
+        RUN: { clip: 'RUN' },
+        WALK_BACK: { clip: 'WALK', timeScale: -1 },
+        RUN_BACK: { clip: 'RUN', timeScale: -1 },
+        STRAFE_LEFT: { clip: 'STRAFE_LEFT' },
+        STRAFE_RIGHT: { clip: 'STRAFE_RIGHT' },
+        RUN_STRAFE_LEFT: { clip: 'RUN_STRAFE_LEFT' },
+        RUN_STRAFE_RIGHT: { clip: 'RUN_STRAFE_RIGHT' },
+        JUMP: oneShot('JUMP'),
+        // Holds its last frame until respawn
+        DEATH: { ...oneShot('DEATH'), interruptible: true }
+      },
+      transitions: [
+        { to: 'DEATH', when: (p) => p.dead, force: true },
+        { to: 'JUMP', trigger: 'JUMP', duration: 0.1 },
+        { to: 'IDLE', when: (p) => !p.moving },
+        { to: 'RUN_STRAFE_LEFT', when: (p) => p.strafe < 0 && p.running },
+        { to: 'RUN_STRAFE_RIGHT', when: (p) => p.strafe > 0 && p.running },
+        { to: 'STRAFE_LEFT', when: (p) => p.strafe < 0 },
+        { to: 'STRAFE_RIGHT', when: (p) => p.strafe > 0 },
+        { to: 'RUN_BACK', when: (p) => p.backward && p.running },
+        { to: 'WALK_BACK', when: (p) => p.backward },
+        { to: 'RUN', when: (p) => p.running },
+        { to: 'WALK' }
+      ]
+    },
+    {
+      name: 'upperBody',
+      initial: null,
+      // Standing still the whole body swings so attacks keep their footwork,
+      // on the move the legs stay with locomotion
+      mask: (p) => (p.moving ? ['upper'] : ['upper', 'lower']),
+      states: {
+        ...Object.fromEntries(
+          [...UPPER_BODY_ACTIONS, ...COMBO_ACTIONS].map((name) => [name, oneShot(name)])
+        ),
+        ...SHEATH_STATES
+      },
+      transitions: [
+        { to: null, when: (p) => p.dead, force: true },
+        ...COMBO_ACTIONS.map((name) => ({ to: name, trigger: name, force: true, duration: 0.1 })),
+        ...[...UPPER_BODY_ACTIONS, ...Object.keys(SHEATH_STATES)].map((name) => ({ to: name, trigger: name })),
+        { to: null, finished: true }
+      ]
+    }
+  ]
+};
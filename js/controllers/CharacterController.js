@@ -1,28 +1,65 @@
 import * as THREE from 'three';
-import { CHARACTER, CONTROLS } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+import { CHARACTER, CONTROLS, NETWORK, PHYSICS, TERRAIN } from '../core/Constants.js';
+import {
+  createMovementState,
+  inputFromActions,
+  stepMovement,
+  wrapAngle
+} from '../core/Movement.js';
+import { AnimationStateMachine } from '../systems/AnimationStateMachine.js';
+import { EquipmentSystem } from '../systems/EquipmentSystem.js';
+import { CHARACTER_ANIMATION_GRAPH } from './CharacterAnimationGraph.js';
 
-export class CharacterController {
-  constructor(model, weapon, animations, scene) {
+// Movement while dead or without input, nothing held
+const NO_ACTIONS = {};
+
+// Events: healthChanged, resourceChanged, auraAdded, auraRemoved, statsChanged
+export class CharacterController extends EventEmitter {
+  constructor(model, animations, scene) {
+    super();
+    
     // Public properties for shader access
     this.character = model;
-    this.weapon = weapon;
     this.animations = animations;
     this.scene = scene;
     
-    // Private properties
-    this.mixer = new THREE.AnimationMixer(this.character);
-    this.currentAnimation = 'IDLE';
-    
-    // Movement properties
-    this.moveSpeed = CHARACTER.MOVE_SPEED;
-    this.rotationSpeed = CHARACTER.ROTATION_SPEED;
-    this.velocity = new THREE.Vector3();
-    this.direction = new THREE.Vector3();
-    this.moveDirection = new THREE.Vector3();
+    // Movement properties, stepped by the shared simulation in core/Movement.js
+    this.movementState = createMovementState();
     this.isGrounded = true;
     
+    // Physics and terrain - set through setPhysics/setTerrain, without them the
+    // character stays at y=0
+    this.physics = null;
+    this.body = null;
+    this.terrain = null;
+    
     // Character properties
+    this.name = CHARACTER.NAME;
+    this.level = CHARACTER.LEVEL;
     this.health = CHARACTER.INITIAL_HEALTH;
+    this.maxHealth = CHARACTER.INITIAL_HEALTH;
+    this.mana = CHARACTER.MAX_MANA;
+    this.maxMana = CHARACTER.MAX_MANA;
+    this.rage = 0;
+    this.maxRage = CHARACTER.MAX_RAGE;
+    this.armor = CHARACTER.ARMOR;
+    this.critChance = CHARACTER.CRIT_CHANCE;
+    this.attackPower = CHARACTER.ATTACK_POWER;
+    this.faction = 'player';
+    
+    // Timed states such as 'block', aura id -> seconds remaining
+    this.auras = new Map();
+    
+    // Abilities - set through setAbilitySystem, without it action keys only animate
+    this.abilitySystem = null;
+    
+    // Targeting - set through setTargeting, abilities act on its current target
+    this.targeting = null;
+    
+    // Networking - when a server connection is set, movement is authoritative
+    // and predicted locally (see setNetwork)
+    this.network = null;
     
     console.log('Setting up character with FBX:', model);
     
@@ -32,8 +69,15 @@ export class CharacterController {
     // Setup animations
     this.setupAnimations();
     
-    // Setup keyboard controls
-    this.setupControls();
+    // Weapons on skeleton sockets and the stats of everything worn, see EquipmentSystem
+    this.equipment = new EquipmentSystem(this);
+    this.equipment.on('equipped', () => this.updateStats());
+    this.equipment.on('unequipped', () => this.updateStats());
+    
+    // Input - set through setInput, mouselook is set by the camera
+    this.input = null;
+    this.unsubscribeInput = null;
+    this.mouseLook = false;
   }
 
   setupCharacter() {
@@ -50,312 +94,577 @@ export class CharacterController {
       }
     });
     
-    // Ensure character casts and receives shadows
+    // Ensure character casts and receives shadows, materials come from MaterialManager presets
     this.character.traverse((child) => {
       if (child instanceof THREE.Mesh) {
         child.castShadow = true;
         child.receiveShadow = true;
-        
-        // Enhance materials for better rendering
-        if (child.material) {
-          const materials = Array.isArray(child.material) 
-            ? child.material 
-            : [child.material];
-          
-          materials.forEach((material) => {
-            if (material instanceof THREE.MeshStandardMaterial) {
-              material.roughness = 0.7;
-              material.metalness = 0.3;
-              material.envMapIntensity = 1.0;
-            }
-          });
-        }
       }
     });
     
     // Add character to scene
     this.scene.add(this.character);
     console.log('Character added to scene with scale:', this.character.scale.x);
+  }
 
-    // Only attach weapon if it exists
-    if (this.weapon) {
-      this.attachWeapon();
-    }
+  // Locomotion and one-shot actions blend on the layered graph in CharacterAnimationGraph
+  setupAnimations() {
+    this.animator = new AnimationStateMachine(this.character, this.animations, CHARACTER_ANIMATION_GRAPH);
   }
 
-  attachWeapon() {
-    // Scale and adjust weapon - maintain original proportion (0.01) with 4x larger character
-    this.weapon.scale.set(0.01, 0.01, 0.01);
-    this.weapon.rotateY(Math.PI / 2);
-    
-    // Find hand bone to attach the weapon
-    let handBone = null;
-    
-    this.character.traverse((child) => {
-      // Look for the right hand bone in the character's skeleton
-      if (child.name.toLowerCase().includes('hand') && 
-        child.name.toLowerCase().includes('right')) {
-        handBone = child;
+  // Action handling - movement is read from the input's action state every
+  // tick, one-shot actions react to actionDown
+  setInput(input) {
+    this.input = input;
+    this.unsubscribeInput = input.on('actionDown', (action) => {
+      switch (action) {
+        case 'ATTACK':
+        case 'BLOCK':
+        case 'SPECIAL':
+          this.useAction(action);
+          break;
+        case 'JUMP':
+          this.jump();
+          break;
+        case 'TOGGLE_SHEATH':
+          if (!this.isDead()) {
+            this.equipment.toggleSheath();
+          }
+          break;
       }
     });
-    
-    // Attach weapon to hand if found
-    if (handBone) {
-      handBone.add(this.weapon);
-      
-      // Set weapon material properties
-      this.weapon.traverse((child) => {
-        if (child instanceof THREE.Mesh) {
-          child.castShadow = true;
-          
-          if (child.material) {
-            // Convert to array if it's a single material
-            const materials = Array.isArray(child.material) 
-              ? child.material 
-              : [child.material];
-            
-            materials.forEach((material) => {
-              if (material instanceof THREE.MeshStandardMaterial) {
-                material.roughness = 0.4;
-                material.metalness = 0.8;
-                material.envMapIntensity = 1.5;
-              }
-            });
-          }
-        }
-      });
-    } else {
-      console.warn('Could not find right hand bone to attach weapon');
-      
-      // Fallback: add weapon as child of character
-      this.character.add(this.weapon);
-      this.weapon.position.set(0, 3, 0);
+  }
+
+  // While on, the character turns with the camera heading and strafes
+  setMouseLook(active) {
+    this.mouseLook = active;
+  }
+
+  setAbilitySystem(abilitySystem) {
+    this.abilitySystem = abilitySystem;
+  }
+
+  setTargeting(targeting) {
+    this.targeting = targeting;
+  }
+
+  getTarget() {
+    return this.targeting ? this.targeting.getTarget() : null;
+  }
+
+  // Run the ability bound to an action key (CONTROLS.ABILITIES) on the current target
+  useAction(action) {
+    return this.useAbility(CONTROLS.ABILITIES[action]);
+  }
+
+  // Run an ability on the current target, action keys and action bar slots both end up here
+  useAbility(id) {
+    if (this.isDead()) return false;
+
+    // Fighting draws the weapons straight away, also calling off a sheathe
+    // that is still under way
+    this.equipment.unsheathe({ instant: true });
+
+    if (this.abilitySystem) {
+      return this.abilitySystem.use(id, this.getTarget());
     }
+
+    // No ability system yet, just play the matching clip
+    return this.playAnimation(id === CONTROLS.ABILITIES.BLOCK ? 'BLOCK' : 'ATTACK');
   }
 
-  setupAnimations() {
-    this.animationActions = new Map();
-    
-    // Convert animations Map to uppercase keys
-    this.animations.forEach((animation, name) => {
-      const upperName = name.toUpperCase();
-      const action = this.mixer.clipAction(animation);
-      this.animationActions.set(upperName, action);
-      
-      // Set default animation weights and other properties
-      action.enabled = true;
-      action.setEffectiveWeight(1);
-      action.setEffectiveTimeScale(1);
-      
-      if (upperName === 'IDLE') {
-        action.play();
-      }
-    });
-    
-    console.log('Available animations:', Array.from(this.animationActions.keys()));
-  }
-
-  setupControls() {
-    // Track key states
-    this.keys = {
-      'w': false,
-      's': false,
-      'a': false,
-      'd': false,
-      'shift': false,
-      'capslock': false,
-      'f': false,
-      'e': false
+  getPosition() {
+    return this.character.position;
+  }
+
+  isDead() {
+    return this.health <= 0;
+  }
+
+  // Held movement actions (see MOVEMENT_ACTIONS), nothing while dead
+  getMovementActions() {
+    if (!this.input || this.isDead()) return NO_ACTIONS;
+
+    return {
+      forward: this.input.isActionActive('MOVE_FORWARD'),
+      backward: this.input.isActionActive('MOVE_BACKWARD'),
+      left: this.input.isActionActive('MOVE_LEFT'),
+      right: this.input.isActionActive('MOVE_RIGHT'),
+      run: this.input.isActionActive('RUN'),
+      mouselook: this.mouseLook
     };
-    
-    // Add event listeners
-    document.addEventListener('keydown', (e) => {
-      const key = e.key.toLowerCase();
-      if (this.keys.hasOwnProperty(key)) {
-        this.keys[key] = true;
-        
-        // Handle attack animations
-        switch(key) {
-          case 'capslock':
-            this.playAnimation('ATTACK', true);
-            break;
-          case 'f':
-            this.playAnimation('BLOCK', true);
-            break;
-          case 'e':
-            // For now this will also trigger attack since we only have one,
-            // but we can add more attack animations later
-            this.playAnimation('ATTACK', true);
-            break;
-        }
-      }
+  }
+
+  // Where melee hits are measured from, the drawn weapon or the bare hand
+  getWeaponPosition(target) {
+    const weapon = this.equipment.getDrawnWeapon() || this.equipment.getSocket('rightHand');
+    return weapon.getWorldPosition(target);
+  }
+
+  getAnimationDuration(name) {
+    return this.animator.getClipDuration(name);
+  }
+
+  // Base character stats plus whatever the equipment adds. Health and mana keep
+  // their current values, clamped to the new maximums.
+  updateStats() {
+    const bonus = this.equipment.getStats();
+    const previousMaxHealth = this.maxHealth;
+
+    this.armor = CHARACTER.ARMOR + bonus.armor;
+    this.critChance = CHARACTER.CRIT_CHANCE + bonus.critChance;
+    this.attackPower = CHARACTER.ATTACK_POWER + bonus.attackPower;
+    this.maxHealth = CHARACTER.INITIAL_HEALTH + bonus.maxHealth;
+    this.maxMana = CHARACTER.MAX_MANA + bonus.maxMana;
+    this.setResource('mana', Math.min(this.mana, this.maxMana));
+
+    const previous = this.health;
+    this.health = Math.min(this.health, this.maxHealth);
+    if (this.health !== previous || this.maxHealth !== previousMaxHealth) {
+      this.emit('healthChanged', { entity: this, health: this.health, previous, maxHealth: this.maxHealth, source: null });
+    }
+
+    this.emit('statsChanged', {
+      armor: this.armor,
+      critChance: this.critChance,
+      attackPower: this.attackPower,
+      maxHealth: this.maxHealth,
+      maxMana: this.maxMana
     });
-    
-    document.addEventListener('keyup', (e) => {
-      const key = e.key.toLowerCase();
-      if (this.keys.hasOwnProperty(key)) {
-        this.keys[key] = false;
+  }
+
+  // source is whoever caused the change, if anyone
+  setHealth(value, source = null) {
+    const previous = this.health;
+    this.health = THREE.MathUtils.clamp(value, 0, this.maxHealth);
+    if (this.health !== previous) {
+      this.emit('healthChanged', { entity: this, health: this.health, previous, maxHealth: this.maxHealth, source });
+    }
+  }
+
+  takeDamage(amount, attacker = null) {
+    if (this.isDead()) return;
+
+    this.setHealth(this.health - amount, attacker);
+    if (this.health === 0) {
+      this.die();
+    }
+  }
+
+  die() {
+    this.setHealth(0);
+    this.clearAuras();
+    if (this.abilitySystem) {
+      this.abilitySystem.interruptCast('died');
+    }
+
+    // The graph switches to DEATH on its next update
+    this.animator.setParameter('dead', true);
+
+    // The server goes by our reported health of 0, send it right away
+    this.statusTimer = 0;
+  }
+
+  // Back to full health at a graveyard { x, z }
+  respawn({ x, z }) {
+    const y = this.getGroundHeight(x, z);
+
+    this.setHealth(this.maxHealth);
+    this.setResource('mana', this.maxMana);
+    this.setResource('rage', 0);
+
+    this.movementState = createMovementState({ x, y, z, rotation: this.movementState.rotation });
+    this.character.position.set(x, y, z);
+    if (this.body) {
+      this.body.position.set(x, y + this.physics.getCharacterFootOffset(), z);
+      this.body.velocity.set(0, 0, 0);
+    }
+
+    this.animator.setParameter('dead', false);
+
+    // The server teleports us to the same graveyard, start predicting from there
+    if (this.isNetworked()) {
+      this.previousMovementState = { ...this.movementState };
+      this.correctionOffset.set(0, 0, 0);
+      this.rotationCorrection = 0;
+      this.network.sendRespawn();
+    }
+  }
+
+  heal(amount, source = null) {
+    if (this.isDead()) return;
+    this.setHealth(this.health + amount, source);
+  }
+
+  getResource(type) {
+    return this[type] ?? 0;
+  }
+
+  getMaxResource(type) {
+    return this[`max${type.charAt(0).toUpperCase()}${type.slice(1)}`] ?? Infinity;
+  }
+
+  setResource(type, value) {
+    const previous = this.getResource(type);
+    this[type] = THREE.MathUtils.clamp(value, 0, this.getMaxResource(type));
+    if (this[type] !== previous) {
+      this.emit('resourceChanged', { entity: this, type, value: this[type], previous, max: this.getMaxResource(type) });
+    }
+  }
+
+  spendResource(type, amount) {
+    this.setResource(type, this.getResource(type) - amount);
+  }
+
+  addResource(type, amount) {
+    this.setResource(type, this.getResource(type) + amount);
+  }
+
+  addAura(id, duration) {
+    const remaining = Math.max(this.auras.get(id) || 0, duration);
+    this.auras.set(id, remaining);
+    this.emit('auraAdded', { entity: this, id, remaining });
+  }
+
+  removeAura(id) {
+    if (this.auras.delete(id)) {
+      this.emit('auraRemoved', { entity: this, id });
+    }
+  }
+
+  clearAuras() {
+    Array.from(this.auras.keys()).forEach((id) => this.removeAura(id));
+  }
+
+  hasAura(id) {
+    return this.auras.has(id);
+  }
+
+  // Mana regenerates, rage decays, auras run out
+  updateResources(deltaTime) {
+    this.addResource('mana', CHARACTER.MANA_REGEN * deltaTime);
+    this.spendResource('rage', CHARACTER.RAGE_DECAY * deltaTime);
+
+    this.auras.forEach((remaining, id) => {
+      if (remaining <= deltaTime) {
+        this.removeAura(id);
+      } else {
+        this.auras.set(id, remaining - deltaTime);
       }
     });
   }
 
-  playAnimation(name, isAction = false) {
-    console.log('Playing animation:', name, 'Current animations:', Array.from(this.animationActions.keys()));
-    
-    // Don't interrupt actions in progress
-    if (isAction) {
-      if (this.currentAnimation === 'ATTACK' || 
-        this.currentAnimation === 'BLOCK') {
-        return;
-      }
-      
-      const action = this.animationActions.get(name);
-      const prevAction = this.animationActions.get(this.currentAnimation);
-      
-      if (action && prevAction) {
-        // Start the action animation
-        prevAction.fadeOut(0.2);
-        action.reset().fadeIn(0.2).play();
-        
-        this.currentAnimation = name;
-        
-        // Set up to automatically return to previous state
-        const returnToIdle = () => {
-          action.fadeOut(0.2);
-          
-          // Check what we should return to
-          if (this.isMoving()) {
-            if (this.keys.shift) {
-              this.animationActions.get('RUN')?.reset().fadeIn(0.2).play();
-              this.currentAnimation = 'RUN';
-            } else {
-              this.animationActions.get('WALK')?.reset().fadeIn(0.2).play();
-              this.currentAnimation = 'WALK';
-            }
-          } else {
-            this.animationActions.get('IDLE')?.reset().fadeIn(0.2).play();
-            this.currentAnimation = 'IDLE';
-          }
-          
-          action.getMixer().removeEventListener('finished', returnToIdle);
-        };
-        
-        // Make the action play once then return
-        action.setLoop(THREE.LoopOnce, 1);
-        action.clampWhenFinished = true;
-        action.getMixer().addEventListener('finished', returnToIdle);
-      }
-    } else {
-      // Don't interrupt actions for movement state changes
-      if (this.currentAnimation === 'ATTACK' || 
-        this.currentAnimation === 'BLOCK') {
-        return;
-      }
-      
-      // Only change animation if it's different
-      if (this.currentAnimation !== name) {
-        const action = this.animationActions.get(name);
-        const currentAction = this.animationActions.get(this.currentAnimation);
-        
-        if (action && currentAction) {
-          currentAction.fadeOut(0.2);
-          action.reset().fadeIn(0.2).play();
-          this.currentAnimation = name;
-        } else {
-          console.warn(`Could not find animation: ${name}`);
-        }
-      }
+  // Fire a one-shot (ATTACK, BLOCK, JUMP...) on the animation graph. Returns
+  // false if it could not start, e.g. while another one-shot is playing.
+  playAnimation(name) {
+    if (!this.animator.trigger(name)) return false;
+
+    // Let the server replicate it to other players
+    if (this.isNetworked()) {
+      this.network.sendAction(name);
     }
+    return true;
   }
 
   isMoving() {
-    return this.keys['w'] || this.keys['s'] || this.keys['a'] || this.keys['d'];
+    const actions = this.getMovementActions();
+    return Boolean(actions.forward || actions.backward || actions.left || actions.right);
   }
 
-  update(deltaTime, camera) {
-    // Update animation mixer
-    if (this.mixer) {
-      this.mixer.update(deltaTime);
+  // Place the character on the terrain, call before setPhysics
+  setTerrain(terrain) {
+    this.terrain = terrain;
+
+    const { x, z } = this.character.position;
+    const y = terrain.getHeightAt(x, z);
+    this.character.position.y = y;
+    this.movementState = { ...this.movementState, y };
+  }
+
+  getGroundHeight(x, z) {
+    return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+  }
+
+  setPhysics(physics) {
+    this.physics = physics;
+    this.body = physics.createCharacterBody(this.character.position);
+  }
+
+  jump() {
+    if (!this.body || !this.isGrounded || this.isDead()) return;
+
+    this.body.velocity.y = PHYSICS.JUMP_VELOCITY;
+    this.isGrounded = false;
+    this.playAnimation('JUMP');
+  }
+
+  // Feed the horizontal movement of this frame to the capsule, gravity does the rest
+  driveBody(previousState, nextState, deltaTime) {
+    if (deltaTime <= 0) return;
+
+    this.body.velocity.x = (nextState.x - previousState.x) / deltaTime;
+    this.body.velocity.z = (nextState.z - previousState.z) / deltaTime;
+  }
+
+  // Called after the physics step. Offline the body owns the position so props
+  // block us; while networked the server owns x/z and physics only supplies
+  // height, so we keep x/z and follow the body vertically.
+  syncWithPhysics() {
+    if (!this.body) return;
+
+    const footOffset = this.physics.getCharacterFootOffset();
+    let feetY = this.body.position.y - footOffset;
+    this.isGrounded = this.physics.isCharacterGrounded(this.body);
+
+    // Never sink below the terrain, e.g. before the chunk under us has its collider
+    const groundY = this.getGroundHeight(this.body.position.x, this.body.position.z);
+    if (feetY < groundY - TERRAIN.GROUND_TOLERANCE) {
+      feetY = groundY;
+      this.body.position.y = groundY + footOffset;
+      this.body.velocity.y = Math.max(0, this.body.velocity.y);
     }
 
-    // Get camera direction
-    const cameraDirection = new THREE.Vector3();
-    camera.getWorldDirection(cameraDirection);
-    cameraDirection.y = 0;
-    cameraDirection.normalize();
-
-    // Calculate right vector
-    const rightVector = new THREE.Vector3();
-    rightVector.crossVectors(camera.up, cameraDirection).normalize();
-
-    // Reset movement direction
-    this.moveDirection.set(0, 0, 0);
-    let isMoving = false;
-    let isRunning = this.keys['shift'];
-
-    // Forward/backward movement
-    if (this.keys['w']) {
-      this.moveDirection.add(cameraDirection);
-      isMoving = true;
+    // Rays along heightfield grid lines can slip through, the terrain height is a backup
+    if (this.terrain && feetY - groundY <= PHYSICS.GROUND_CHECK_DISTANCE) {
+      this.isGrounded = true;
     }
-    if (this.keys['s']) {
-      this.moveDirection.sub(cameraDirection);
-      isMoving = true;
+
+    if (this.isNetworked()) {
+      this.character.position.y = feetY;
+      return;
     }
 
-    // Left/right movement
-    if (this.keys['a']) {
-      this.moveDirection.sub(rightVector);
-      isMoving = true;
+    const { x, z } = this.body.position;
+    this.movementState = { ...this.movementState, x, y: feetY, z };
+    this.character.position.set(x, feetY, z);
+  }
+
+  setNetwork(network) {
+    this.network = network;
+    this.inputSequence = 0;
+    this.inputAccumulator = 0;
+    this.pendingInputs = [];
+
+    // movementState is our prediction at the latest input tick, rendering
+    // interpolates from the previous tick towards it
+    this.previousMovementState = { ...this.movementState };
+
+    // Remaining visual error from the last server correction, blended out over time
+    this.correctionOffset = new THREE.Vector3();
+    this.rotationCorrection = 0;
+
+    // Vitals for other clients' party frames, sent when they change
+    this.statusTimer = 0;
+    this.statusDirty = true;
+    if (!this.unsubscribeStatus) {
+      this.unsubscribeStatus = ['healthChanged', 'resourceChanged', 'auraAdded', 'auraRemoved', 'statsChanged']
+        .map((event) => this.on(event, () => { this.statusDirty = true; }));
     }
-    if (this.keys['d']) {
-      this.moveDirection.add(rightVector);
-      isMoving = true;
+  }
+
+  // What other clients show of us, see ServerPlayer.setStatus
+  getStatus() {
+    return {
+      name: this.name,
+      level: this.level,
+      health: Math.ceil(this.health),
+      maxHealth: this.maxHealth,
+      mana: Math.floor(this.mana),
+      maxMana: this.maxMana,
+      rage: Math.floor(this.rage),
+      maxRage: this.maxRage,
+      auras: Array.from(this.auras, ([id, remaining]) => ({ id, remaining }))
+    };
+  }
+
+  // At most every STATUS_INTERVAL, and only when something changed
+  updateStatus(deltaTime) {
+    this.statusTimer = Math.max(0, this.statusTimer - deltaTime);
+    if (!this.statusDirty || this.statusTimer > 0) return;
+
+    this.network.sendStatus(this.getStatus());
+    this.statusDirty = false;
+    this.statusTimer = NETWORK.STATUS_INTERVAL;
+  }
+
+  isNetworked() {
+    return this.network !== null && this.network.connected;
+  }
+
+  getCameraYaw(camera) {
+    const cameraDirection = new THREE.Vector3();
+    camera.getWorldDirection(cameraDirection);
+    return Math.atan2(cameraDirection.x, cameraDirection.z);
+  }
+
+  // One networked input step, standing on the terrain the way ServerPlayer does
+  stepOnGround(state, input, deltaTime) {
+    const next = stepMovement(state, inputFromActions(input.actions, input.yaw), deltaTime);
+    next.y = this.getGroundHeight(next.x, next.z);
+    return next;
+  }
+
+  // Sample input once per server tick, predict it locally and send it to the server
+  updatePrediction(deltaTime, camera) {
+    const tickInterval = 1 / NETWORK.TICK_RATE;
+    this.inputAccumulator += deltaTime;
+
+    while (this.inputAccumulator >= tickInterval) {
+      this.inputAccumulator -= tickInterval;
+
+      const input = {
+        seq: ++this.inputSequence,
+        actions: this.getMovementActions(),
+        yaw: this.getCameraYaw(camera)
+      };
+
+      this.previousMovementState = this.movementState;
+      this.movementState = this.stepOnGround(this.movementState, input, tickInterval);
+
+      this.pendingInputs.push(input);
+      if (this.pendingInputs.length > NETWORK.MAX_INPUT_HISTORY) {
+        this.pendingInputs.shift();
+      }
+      this.network.sendInput(input);
     }
 
-    // Normalize movement direction and apply speed
-    if (isMoving) {
-      this.moveDirection.normalize();
-      const speed = isRunning ? this.moveSpeed * 2 : this.moveSpeed;
-      this.moveDirection.multiplyScalar(speed * deltaTime);
+    // Blend out correction error frame-rate independently
+    const decay = Math.exp(-NETWORK.CORRECTION_BLEND_RATE * deltaTime);
+    this.correctionOffset.multiplyScalar(decay);
+    this.rotationCorrection *= decay;
 
-      // Update character position
-      this.character.position.add(this.moveDirection);
+    // Render between the last two predicted ticks plus what is left of the correction
+    const alpha = this.inputAccumulator / tickInterval;
+    const from = this.previousMovementState;
+    const to = this.movementState;
 
-      // Update character rotation to face movement direction
-      const targetRotation = Math.atan2(this.moveDirection.x, this.moveDirection.z);
-      const currentRotation = this.character.rotation.y;
-      const rotationDiff = targetRotation - currentRotation;
-      
-      // Normalize rotation difference to [-PI, PI]
-      const normalizedDiff = ((rotationDiff + Math.PI) % (Math.PI * 2)) - Math.PI;
-      
-      // Smoothly rotate character
-      this.character.rotation.y += normalizedDiff * this.rotationSpeed * deltaTime;
+    this.character.position.set(
+      THREE.MathUtils.lerp(from.x, to.x, alpha),
+      THREE.MathUtils.lerp(from.y, to.y, alpha),
+      THREE.MathUtils.lerp(from.z, to.z, alpha)
+    ).add(this.correctionOffset);
+
+    this.character.rotation.y = from.rotation +
+      wrapAngle(to.rotation - from.rotation) * alpha + this.rotationCorrection;
+  }
+
+  // Reconcile our prediction with the authoritative state from a server snapshot
+  applyServerState(state) {
+    if (!this.isNetworked()) return;
 
-      // Play appropriate movement animation
-      if (!this.isActionPlaying()) {
-        this.playAnimation(isRunning ? 'RUN' : 'WALK');
+    const { position, rotation, lastProcessedInput } = state;
+    const tickInterval = 1 / NETWORK.TICK_RATE;
+
+    // The server has already applied everything up to lastProcessedInput
+    this.pendingInputs = this.pendingInputs.filter((input) => input.seq > lastProcessedInput);
+
+    // Rebuild the present by replaying unacknowledged inputs on top of the server state
+    let reconciled = createMovementState({ ...position, rotation });
+    this.pendingInputs.forEach((input) => {
+      reconciled = this.stepOnGround(reconciled, input, tickInterval);
+    });
+
+    const predicted = this.movementState;
+    const positionError = new THREE.Vector3(
+      predicted.x - reconciled.x,
+      predicted.y - reconciled.y,
+      predicted.z - reconciled.z
+    );
+    const rotationError = wrapAngle(predicted.rotation - reconciled.rotation);
+
+    if (positionError.length() > NETWORK.CORRECTION_SNAP_DISTANCE) {
+      // Too far off to hide, snap to the server
+      this.correctionOffset.set(0, 0, 0);
+      this.rotationCorrection = 0;
+      this.previousMovementState = { ...reconciled };
+    } else {
+      // Shift both ticks so the rendered position is unchanged, then let the offset decay
+      this.correctionOffset.add(positionError);
+      this.rotationCorrection += rotationError;
+
+      const previous = this.previousMovementState;
+      this.previousMovementState = {
+        ...previous,
+        x: previous.x - positionError.x,
+        y: previous.y - positionError.y,
+        z: previous.z - positionError.z,
+        rotation: previous.rotation - rotationError
+      };
+    }
+
+    this.movementState = reconciled;
+  }
+
+  update(deltaTime, camera) {
+    this.animator.update(deltaTime);
+    this.equipment.update(deltaTime);
+    
+    this.updateResources(deltaTime);
+    if (this.abilitySystem) {
+      this.abilitySystem.update(deltaTime);
+    }
+
+    // The server owns our position while connected, we predict ahead of it
+    if (this.isNetworked()) {
+      this.updateStatus(deltaTime);
+      this.updatePrediction(deltaTime, camera);
+      this.updateAnimationParameters();
+      
+      // Keep the capsule under the predicted position for ground checks
+      if (this.body) {
+        this.body.position.x = this.character.position.x;
+        this.body.position.z = this.character.position.z;
+        this.body.velocity.x = 0;
+        this.body.velocity.z = 0;
       }
-    } else if (!this.isActionPlaying()) {
-      // Play idle animation when not moving and not performing an action
-      this.playAnimation('IDLE');
+      return;
     }
 
-    // Keep character grounded
-    this.character.position.y = 0;
+    // Offline, step the shared movement simulation every frame
+    const input = inputFromActions(this.getMovementActions(), this.getCameraYaw(camera));
+    const previousState = this.movementState;
+    this.movementState = stepMovement(previousState, input, deltaTime);
+    this.character.rotation.y = this.movementState.rotation;
+
+    if (this.body) {
+      // Position is read back from the body in syncWithPhysics
+      this.driveBody(previousState, this.movementState, deltaTime);
+    } else {
+      // Without physics just follow the ground
+      const { x, z } = this.movementState;
+      const y = this.getGroundHeight(x, z);
+      this.movementState = { ...this.movementState, y };
+      this.character.position.set(x, y, z);
+    }
+
+    this.updateAnimationParameters();
   }
 
-  isActionPlaying() {
-    return this.currentAnimation === 'ATTACK' || this.currentAnimation === 'BLOCK';
+  // Strafing and backpedalling only happen while mouselooking, otherwise the
+  // character turns to face where it walks
+  updateAnimationParameters() {
+    const actions = this.getMovementActions();
+    const sideways = actions.mouselook && !actions.forward && !actions.backward;
+
+    this.animator.setParameters({
+      moving: this.isMoving(),
+      running: Boolean(actions.run),
+      backward: Boolean(actions.mouselook && actions.backward && !actions.forward),
+      strafe: sideways ? Number(Boolean(actions.right)) - Number(Boolean(actions.left)) : 0,
+      dead: this.isDead()
+    });
   }
 
   dispose() {
-    document.removeEventListener('keydown', (event) => this.onKeyDown(event));
-    document.removeEventListener('keyup', (event) => this.onKeyUp(event));
-    if (this.mixer) {
-      this.mixer.stopAllAction();
-      this.mixer.uncacheRoot(this.character);
+    this.removeAllListeners();
+    if (this.unsubscribeInput) {
+      this.unsubscribeInput();
+    }
+    this.equipment.dispose();
+    this.animator.dispose();
+    if (this.body) {
+      this.physics.removeBody(this.body);
+      this.body = null;
     }
   }
 } 
\ No newline at end of file
@@ -0,0 +1,464 @@
+import * as THREE from 'three';
+import { MOBS } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+import { wrapAngle } from '../core/Movement.js';
+import { ThreatTable } from '../systems/ThreatTable.js';
+
+export const MOB_STATE = {
+  IDLE: 'idle',
+  PATROL: 'patrol',
+  AGGRO: 'aggro',
+  CHASE: 'chase',
+  ATTACK: 'attack',
+  LEASH: 'leash',
+  DEAD: 'dead'
+};
+
+// Animations that play once and hold their last frame instead of looping
+const ONE_SHOT_ANIMATIONS = ['ATTACK', 'DEATH'];
+
+// An AI controlled enemy. Walks its patrol route, pulls whoever comes within
+// the aggro radius, chases to melee and attacks on a timer, and runs back to
+// its spawn point (patrolling mobs: the waypoint nearest to where the pull
+// started) with full health if dragged past the leash radius.
+//
+// template is a mob entry from the spawn table merged over MOBS defaults,
+// spawn is { position: { x, z }, patrol: [{ x, z }], respawnTime }. Quest
+// givers are templates with questGiver set, they never fight.
+//
+// Who it attacks follows its threat table, fed by ThreatSystem.
+//
+// Events: stateChange, targetChanged, healthChanged, death, reset
+export class MobController extends EventEmitter {
+  constructor(id, model, animations, scene, { template, spawn, terrain, combat }) {
+    super();
+    this.id = id;
+    this.character = model;
+    this.animations = animations;
+    this.scene = scene;
+    this.terrain = terrain;
+    this.combat = combat;
+
+    this.template = template;
+    this.name = template.name;
+    this.level = template.level;
+    this.questGiver = template.questGiver;
+    this.spawn = spawn;
+    this.patrol = spawn.patrol || [];
+    this.patrolIndex = 0;
+
+    // Combatant properties, see CombatSystem
+    this.faction = template.faction;
+    this.maxHealth = template.health;
+    this.health = template.health;
+    this.armor = template.armor;
+    this.critChance = template.critChance;
+    this.hitRadius = template.hitRadius;
+    this.hitHeight = template.hitHeight;
+    this.auras = new Map();
+    this.attackAbility = { id: `${template.id}_attack`, name: 'Attack', animation: 'ATTACK' };
+
+    this.state = MOB_STATE.IDLE;
+    this.stateTime = 0;
+    this.target = null;
+    this.threat = new ThreatTable();
+    this.attackTimer = 0;
+
+    // Spawn point or patrol waypoint, the leash is measured from and resets return to here
+    this.home = new THREE.Vector3();
+
+    this.mixer = new THREE.AnimationMixer(this.character);
+    this.animationActions = new Map();
+    this.currentAnimation = null;
+    this.actionPlaying = false;
+
+    this.setupCharacter();
+    this.setupAnimations();
+  }
+
+  setupCharacter() {
+    const { scale } = this.template;
+    this.character.scale.set(scale, scale, scale);
+    this.character.name = `Mob_${this.id}`;
+
+    const { x, z } = this.spawn.position;
+    this.character.position.set(x, this.terrain.getHeightAt(x, z), z);
+    this.home.copy(this.character.position);
+
+    this.handBone = null;
+    this.character.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+      const name = child.name.toLowerCase();
+      if (child.isBone && name.includes('hand') && name.includes('right')) {
+        this.handBone = child;
+      }
+    });
+
+    this.scene.add(this.character);
+  }
+
+  setupAnimations() {
+    // Clips are shared with every other controller, only the actions are per model
+    this.animations.forEach((clip, name) => {
+      const upperName = name.toUpperCase();
+      const action = this.mixer.clipAction(clip);
+
+      if (ONE_SHOT_ANIMATIONS.includes(upperName)) {
+        action.setLoop(THREE.LoopOnce, 1);
+        action.clampWhenFinished = true;
+      }
+      this.animationActions.set(upperName, action);
+    });
+
+    this.mixer.addEventListener('finished', (event) => {
+      if (event.action === this.animationActions.get('ATTACK')) {
+        this.actionPlaying = false;
+      }
+    });
+
+    this.playAnimation('IDLE');
+  }
+
+  // restart replays a one-shot that is already the current animation
+  playAnimation(name, restart = false) {
+    if (this.currentAnimation === name && !restart) return;
+
+    const action = this.animationActions.get(name);
+    if (!action) return;
+
+    const currentAction = this.animationActions.get(this.currentAnimation);
+    if (currentAction && currentAction !== action) {
+      currentAction.fadeOut(0.2);
+    }
+    action.reset().fadeIn(0.2).play();
+    this.currentAnimation = name;
+  }
+
+  // Looping movement clips wait for an attack to finish
+  playMovementAnimation(name) {
+    if (this.actionPlaying) return;
+    this.playAnimation(name);
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+
+    const previous = this.state;
+    this.state = state;
+    this.stateTime = 0;
+    this.emit('stateChange', { mob: this, state, previous });
+  }
+
+  getPosition() {
+    return this.character.position;
+  }
+
+  isDead() {
+    return this.state === MOB_STATE.DEAD;
+  }
+
+  // Running home after a leash, immune to everything
+  isEvading() {
+    return this.state === MOB_STATE.LEASH;
+  }
+
+  isInCombat() {
+    return this.target !== null;
+  }
+
+  hasAura(id) {
+    return this.auras.has(id);
+  }
+
+  getWeaponPosition(target) {
+    if (this.handBone) {
+      return this.handBone.getWorldPosition(target);
+    }
+    return target.copy(this.character.position).setY(this.character.position.y + this.template.scale / 2);
+  }
+
+  getAnimationDuration(name) {
+    const action = this.animationActions.get(name);
+    return action ? action.getClip().duration : 0;
+  }
+
+  getTopThreatTarget() {
+    return this.threat.getTopTarget();
+  }
+
+  getThreatList() {
+    return this.threat.getSortedList();
+  }
+
+  // source is whoever caused the change, if anyone
+  setHealth(value, source = null) {
+    const previous = this.health;
+    this.health = THREE.MathUtils.clamp(value, 0, this.maxHealth);
+    if (this.health !== previous) {
+      this.emit('healthChanged', { entity: this, health: this.health, previous, maxHealth: this.maxHealth, source });
+    }
+  }
+
+  heal(amount, source = null) {
+    if (this.isDead()) return;
+    this.setHealth(this.health + amount, source);
+  }
+
+  takeDamage(amount, attacker) {
+    if (this.isDead() || this.isEvading()) return;
+
+    this.setHealth(this.health - amount, attacker);
+    if (this.health === 0) {
+      this.die();
+      return;
+    }
+
+    // Hitting a mob pulls it
+    if (attacker) {
+      this.engage(attacker);
+    }
+  }
+
+  die() {
+    this.setHealth(0);
+    this.target = null;
+    this.threat.clear();
+    this.actionPlaying = false;
+    this.setState(MOB_STATE.DEAD);
+    this.playAnimation('DEATH');
+    this.emit('death', { mob: this });
+  }
+
+  // Put target on the threat list, pulling the mob if it was out of combat
+  engage(target) {
+    this.threat.addThreat(target, 0);
+    if (this.isInCombat()) return;
+
+    this.setHome();
+    this.target = target;
+    this.setState(MOB_STATE.AGGRO);
+  }
+
+  // Home is the spawn point, or for a patrol the waypoint nearest to us, which
+  // the patrol carries on from after a reset
+  setHome() {
+    let point = this.spawn.position;
+    if (this.patrol.length > 0) {
+      const distances = this.patrol.map((waypoint) => this.distanceTo(waypoint));
+      this.patrolIndex = distances.indexOf(Math.min(...distances));
+      point = this.patrol[this.patrolIndex];
+    }
+    this.home.set(point.x, this.terrain.getHeightAt(point.x, point.z), point.z);
+  }
+
+  // Leave combat and run back home
+  leash() {
+    this.target = null;
+    this.threat.clear();
+    this.setState(MOB_STATE.LEASH);
+  }
+
+  // Back at the spawn point with full health, used after the respawn timer
+  respawn() {
+    const { x, z } = this.spawn.position;
+    this.character.position.set(x, this.terrain.getHeightAt(x, z), z);
+    this.home.copy(this.character.position);
+    this.patrolIndex = 0;
+    this.resetState();
+
+    this.animationActions.get('DEATH')?.stop();
+    this.currentAnimation = null;
+    this.playAnimation('IDLE');
+  }
+
+  resetState() {
+    this.setHealth(this.maxHealth);
+    this.target = null;
+    this.threat.clear();
+    this.attackTimer = 0;
+    this.auras.clear();
+    this.setState(MOB_STATE.IDLE);
+    this.emit('reset', { mob: this });
+  }
+
+  // Follow the threat table, returns false once nobody is left to fight
+  updateTarget() {
+    const next = this.threat.selectTarget(
+      this.target,
+      (entity) => this.distanceTo(entity.getPosition()) <= this.template.attackRange
+    );
+
+    if (next !== this.target) {
+      const previous = this.target;
+      this.target = next;
+      if (next) {
+        this.emit('targetChanged', { mob: this, target: next, previous });
+      }
+    }
+    return next !== null;
+  }
+
+  distanceTo(point) {
+    const position = this.character.position;
+    return Math.hypot(point.x - position.x, point.z - position.z);
+  }
+
+  // Nearest living hostile inside the aggro radius
+  scanForTarget() {
+    const candidates = this.combat.getHostilesInRange(this, this.template.aggroRadius);
+    if (candidates.length === 0) return false;
+
+    candidates.sort((a, b) => this.distanceTo(a.getPosition()) - this.distanceTo(b.getPosition()));
+    this.engage(candidates[0]);
+    return true;
+  }
+
+  faceTowards(point, deltaTime) {
+    const position = this.character.position;
+    const targetRotation = Math.atan2(point.x - position.x, point.z - position.z);
+    const rotationDiff = wrapAngle(targetRotation - this.character.rotation.y);
+    const step = Math.min(1, this.template.rotationSpeed * deltaTime);
+    this.character.rotation.y = wrapAngle(this.character.rotation.y + rotationDiff * step);
+  }
+
+  // Step towards point on the ground, returns true once within tolerance
+  moveTowards(point, speed, deltaTime, tolerance = MOBS.WAYPOINT_TOLERANCE) {
+    const position = this.character.position;
+    const distance = this.distanceTo(point);
+    if (distance <= tolerance) return true;
+
+    const step = Math.min(speed * deltaTime, distance);
+    position.x += ((point.x - position.x) / distance) * step;
+    position.z += ((point.z - position.z) / distance) * step;
+    position.y = this.terrain.getHeightAt(position.x, position.z);
+
+    this.faceTowards(point, deltaTime);
+    return distance - step <= tolerance;
+  }
+
+  update(deltaTime) {
+    this.mixer.update(deltaTime);
+    if (this.isDead()) return;
+
+    this.stateTime += deltaTime;
+    this.attackTimer = Math.max(0, this.attackTimer - deltaTime);
+    this.threat.update(deltaTime);
+
+    switch (this.state) {
+      case MOB_STATE.IDLE:
+        this.updateIdle();
+        break;
+      case MOB_STATE.PATROL:
+        this.updatePatrol(deltaTime);
+        break;
+      case MOB_STATE.AGGRO:
+        this.updateAggro(deltaTime);
+        break;
+      case MOB_STATE.CHASE:
+        this.updateChase(deltaTime);
+        break;
+      case MOB_STATE.ATTACK:
+        this.updateAttack(deltaTime);
+        break;
+      case MOB_STATE.LEASH:
+        this.updateLeash(deltaTime);
+        break;
+    }
+  }
+
+  updateIdle() {
+    this.playMovementAnimation('IDLE');
+    if (this.scanForTarget()) return;
+
+    if (this.patrol.length > 0 && this.stateTime >= MOBS.PATROL_WAIT) {
+      this.setState(MOB_STATE.PATROL);
+    }
+  }
+
+  updatePatrol(deltaTime) {
+    if (this.scanForTarget()) return;
+
+    this.playMovementAnimation('WALK');
+    const waypoint = this.patrol[this.patrolIndex];
+    if (this.moveTowards(waypoint, this.template.walkSpeed, deltaTime)) {
+      this.patrolIndex = (this.patrolIndex + 1) % this.patrol.length;
+      this.setState(MOB_STATE.IDLE);
+    }
+  }
+
+  // Turn to face the target for a moment before charging
+  updateAggro(deltaTime) {
+    if (!this.updateTarget()) {
+      this.leash();
+      return;
+    }
+
+    this.playMovementAnimation('IDLE');
+    this.faceTowards(this.target.getPosition(), deltaTime);
+    if (this.stateTime >= MOBS.AGGRO_DELAY) {
+      this.setState(MOB_STATE.CHASE);
+    }
+  }
+
+  updateChase(deltaTime) {
+    if (!this.updateTarget() || this.distanceTo(this.home) > this.template.leashRadius) {
+      this.leash();
+      return;
+    }
+
+    const targetPosition = this.target.getPosition();
+    if (this.distanceTo(targetPosition) <= this.template.attackRange) {
+      this.setState(MOB_STATE.ATTACK);
+      return;
+    }
+
+    this.playMovementAnimation('RUN');
+    this.moveTowards(targetPosition, this.template.runSpeed, deltaTime, this.template.attackRange);
+  }
+
+  updateAttack(deltaTime) {
+    if (!this.updateTarget()) {
+      this.leash();
+      return;
+    }
+
+    const targetPosition = this.target.getPosition();
+    this.faceTowards(targetPosition, deltaTime);
+
+    // A little slack so a target on the edge of range doesn't flip us back and forth
+    if (!this.actionPlaying && this.distanceTo(targetPosition) > this.template.attackRange * 1.2) {
+      this.setState(MOB_STATE.CHASE);
+      return;
+    }
+
+    this.playMovementAnimation('IDLE');
+    if (this.attackTimer === 0) {
+      this.attack();
+    }
+  }
+
+  attack() {
+    this.attackTimer = this.template.attackInterval;
+    this.actionPlaying = true;
+    this.playAnimation('ATTACK', true);
+    this.combat.startSwing(this, this.attackAbility, this.template.damage);
+  }
+
+  updateLeash(deltaTime) {
+    this.actionPlaying = false;
+    this.playMovementAnimation('RUN');
+    if (this.moveTowards(this.home, this.template.runSpeed, deltaTime)) {
+      this.resetState();
+    }
+  }
+
+  dispose() {
+    this.removeAllListeners();
+    this.scene.remove(this.character);
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.character);
+  }
+}
@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+import { CHARACTER, NETWORK } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+import { REPLICATED_ACTIONS } from './CharacterAnimationGraph.js';
+
+// Animations that play once and hold their last frame instead of looping
+const ONE_SHOT_ANIMATIONS = [...REPLICATED_ACTIONS, 'DEATH'];
+
+// Drives a character owned by another client from server snapshots.
+// Rendering runs INTERPOLATION_DELAY behind the newest snapshot so there are
+// always two snapshots to interpolate between. The vitals the client reports
+// (see CharacterController.getStatus) arrive as MESSAGE.STATUS whenever they
+// change and are mirrored here for party frames.
+//
+// It is also a combatant (see CombatSystem), so mobs on this client can pull
+// it and it takes a place on their threat tables. Its own client runs its
+// fights, damage and heals dealt here leave the reported vitals alone.
+//
+// Events: healthChanged, resourceChanged, auraAdded, auraRemoved, statsChanged
+export class RemotePlayerController extends EventEmitter {
+  constructor(id, model, animations, scene) {
+    super();
+    this.id = id;
+    this.name = `Player ${id}`;
+    this.faction = 'player';
+    this.level = CHARACTER.LEVEL;
+    this.health = CHARACTER.INITIAL_HEALTH;
+    this.maxHealth = CHARACTER.INITIAL_HEALTH;
+    this.mana = CHARACTER.MAX_MANA;
+    this.maxMana = CHARACTER.MAX_MANA;
+    this.rage = 0;
+    this.maxRage = CHARACTER.MAX_RAGE;
+    // aura id -> seconds remaining when it was reported
+    this.auras = new Map();
+    this.character = model;
+    this.animations = animations;
+    this.scene = scene;
+
+    this.mixer = new THREE.AnimationMixer(this.character);
+    this.animationActions = new Map();
+    this.currentAnimation = null;
+
+    // Timestamped { time, position, rotation, animation } entries, oldest first
+    this.snapshots = [];
+
+    this.setupCharacter();
+    this.setupAnimations();
+  }
+
+  setupCharacter() {
+    this.character.scale.set(CHARACTER.SCALE, CHARACTER.SCALE, CHARACTER.SCALE);
+    this.character.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+    this.scene.add(this.character);
+  }
+
+  setupAnimations() {
+    // Clips are shared with every other controller, only the actions are per model
+    this.animations.forEach((clip, name) => {
+      const upperName = name.toUpperCase();
+      const action = this.mixer.clipAction(clip);
+
+      if (ONE_SHOT_ANIMATIONS.includes(upperName)) {
+        action.setLoop(THREE.LoopOnce, 1);
+        action.clampWhenFinished = true;
+      }
+      this.animationActions.set(upperName, action);
+    });
+
+    // Clips played backwards, as on the local player (CharacterAnimationGraph)
+    this.addReversedAction('UNSHEATHE', 'SHEATH', { once: true });
+    this.addReversedAction('WALK_BACK', 'WALK');
+    this.addReversedAction('RUN_BACK', 'RUN');
+
+    this.playAnimation('IDLE');
+  }
+
+  addReversedAction(name, source, { once = false } = {}) {
+    const sourceAction = this.animationActions.get(source);
+    if (!sourceAction) return;
+
+    const clip = sourceAction.getClip().clone();
+    clip.name = name;
+    const action = this.mixer.clipAction(clip);
+    if (once) {
+      action.setLoop(THREE.LoopOnce, 1);
+      action.clampWhenFinished = true;
+    }
+    action.timeScale = -1;
+    this.animationActions.set(name, action);
+  }
+
+  pushSnapshot(state, time = performance.now()) {
+    const { position, rotation, animation } = state;
+
+    // First snapshot places the model directly
+    if (this.snapshots.length === 0) {
+      this.character.position.set(position.x, position.y, position.z);
+      this.character.rotation.y = rotation;
+    }
+
+    this.snapshots.push({
+      time,
+      position: new THREE.Vector3(position.x, position.y, position.z),
+      rotation,
+      animation
+    });
+  }
+
+  isDead() {
+    return this.health <= 0;
+  }
+
+  getPosition() {
+    return this.character.position;
+  }
+
+  hasAura(id) {
+    return this.auras.has(id);
+  }
+
+  // Its client reports the health that results
+  takeDamage() {}
+
+  heal() {}
+
+  // Copy reported vitals, emitting the same events as the local player
+  applyStatus(status) {
+    if (status.name !== this.name || status.level !== this.level) {
+      this.name = status.name;
+      this.level = status.level;
+      this.emit('statsChanged', { name: this.name, level: this.level });
+    }
+
+    if (status.health !== this.health || status.maxHealth !== this.maxHealth) {
+      const previous = this.health;
+      this.health = status.health;
+      this.maxHealth = status.maxHealth;
+      this.emit('healthChanged', { entity: this, health: this.health, previous, maxHealth: this.maxHealth, source: null });
+    }
+
+    ['mana', 'rage'].forEach((type) => {
+      const maxKey = type === 'mana' ? 'maxMana' : 'maxRage';
+      if (status[type] === this[type] && status[maxKey] === this[maxKey]) return;
+
+      const previous = this[type];
+      this[type] = status[type];
+      this[maxKey] = status[maxKey];
+      this.emit('resourceChanged', { entity: this, type, value: this[type], previous, max: this[maxKey] });
+    });
+
+    const reported = new Map(status.auras.map(({ id, remaining }) => [id, remaining]));
+    this.auras.forEach((remaining, id) => {
+      if (!reported.has(id)) {
+        this.auras.delete(id);
+        this.emit('auraRemoved', { entity: this, id });
+      }
+    });
+    reported.forEach((remaining, id) => {
+      if (this.auras.get(id) !== remaining) {
+        this.auras.set(id, remaining);
+        this.emit('auraAdded', { entity: this, id, remaining });
+      }
+    });
+  }
+
+  playAnimation(name) {
+    if (this.currentAnimation === name) return;
+
+    const action = this.animationActions.get(name);
+    if (!action) {
+      console.warn(`Remote player ${this.id}: could not find animation ${name}`);
+      return;
+    }
+
+    const currentAction = this.animationActions.get(this.currentAnimation);
+    if (currentAction) {
+      currentAction.fadeOut(0.2);
+    }
+    action.reset().fadeIn(0.2).play();
+    // Reversed clips start from their last frame
+    if (action.timeScale < 0) {
+      action.time = action.getClip().duration;
+    }
+    this.currentAnimation = name;
+  }
+
+  update(deltaTime, now = performance.now()) {
+    this.interpolate(now - NETWORK.INTERPOLATION_DELAY);
+    this.mixer.update(deltaTime);
+  }
+
+  interpolate(renderTime) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return;
+
+    // Drop snapshots we have fully moved past, keeping one before renderTime
+    while (snapshots.length >= 2 && snapshots[1].time <= renderTime) {
+      snapshots.shift();
+    }
+
+    const from = snapshots[0];
+    const to = snapshots[1];
+
+    if (!to || renderTime <= from.time) {
+      // Nothing newer to blend towards yet, hold the oldest known state
+      this.character.position.copy(from.position);
+      this.character.rotation.y = from.rotation;
+    } else {
+      const t = (renderTime - from.time) / (to.time - from.time);
+      this.character.position.lerpVectors(from.position, to.position, t);
+
+      // Interpolate rotation along the shortest arc
+      const rotationDiff = Math.atan2(
+        Math.sin(to.rotation - from.rotation),
+        Math.cos(to.rotation - from.rotation)
+      );
+      this.character.rotation.y = from.rotation + rotationDiff * t;
+    }
+
+    this.playAnimation(from.animation);
+  }
+
+  dispose() {
+    this.removeAllListeners();
+    this.scene.remove(this.character);
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.character);
+    this.snapshots.length = 0;
+  }
+}
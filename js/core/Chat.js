@@ -0,0 +1,78 @@
+import { CHAT, NETWORK } from './Constants.js';
+
+// Chat rules shared by the client and the server: no THREE, no DOM.
+
+export const CHAT_CHANNEL = {
+  SAY: 'say',
+  YELL: 'yell',
+  WHISPER: 'whisper',
+  PARTY: 'party',
+  GENERAL: 'general',
+  EMOTE: 'emote',
+  // Server notices, never sent by clients
+  SYSTEM: 'system'
+};
+
+// Channels a client may send messages on
+export const PLAYER_CHANNELS = [
+  CHAT_CHANNEL.SAY,
+  CHAT_CHANNEL.YELL,
+  CHAT_CHANNEL.WHISPER,
+  CHAT_CHANNEL.PARTY,
+  CHAT_CHANNEL.GENERAL,
+  CHAT_CHANNEL.EMOTE
+];
+
+// Commands the server answers, sent as MESSAGE.CHAT_COMMAND
+export const SERVER_COMMANDS = ['who', 'roll'];
+
+// Ground distance a channel carries, null for everyone online
+export function getChannelRange(channel) {
+  switch (channel) {
+    case CHAT_CHANNEL.SAY:
+    case CHAT_CHANNEL.EMOTE:
+      return CHAT.SAY_RANGE;
+    case CHAT_CHANNEL.YELL:
+      return CHAT.YELL_RANGE;
+    default:
+      return null;
+  }
+}
+
+// Strip control characters and cut to CHAT.MAX_LENGTH, '' for anything that isn't text
+export function sanitizeChatText(text) {
+  if (typeof text !== 'string') return '';
+  return text.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, CHAT.MAX_LENGTH);
+}
+
+// Names the server gives players without a name of their own, 'Player 2'
+const PLACEHOLDER_NAME = /^player\s*\d+$/i;
+
+// A reported player name stripped of control characters, with runs of spaces
+// collapsed and cut to NETWORK.MAX_NAME_LENGTH. '' for names passing for a
+// placeholder or for an id ('#2', see ChatRelay.findPlayerByName).
+export function sanitizePlayerName(name) {
+  const cleanName = sanitizeChatText(name).replace(/\s+/g, ' ').slice(0, NETWORK.MAX_NAME_LENGTH).trim();
+  if (PLACEHOLDER_NAME.test(cleanName) || cleanName.startsWith('#')) return '';
+  return cleanName;
+}
+
+// '/w Bob hi there' -> { command: 'w', args: 'Bob hi there' }, null for plain text
+export function parseSlashCommand(input) {
+  const match = input.match(/^\/(\S+)\s*(.*)$/s);
+  return match ? { command: match[1].toLowerCase(), args: match[2].trim() } : null;
+}
+
+// Bounds of a /roll: '' -> 1..default, '20' -> 1..20, '5-10' -> 5..10, null if invalid
+export function parseRollRange(args) {
+  const text = String(args ?? '').trim();
+  if (text === '') return { min: 1, max: CHAT.ROLL_DEFAULT_MAX };
+
+  const match = text.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+  if (!match) return null;
+
+  const min = match[2] ? Number(match[1]) : 1;
+  const max = Number(match[2] ?? match[1]);
+  if (min < 0 || max < min || max > CHAT.ROLL_LIMIT) return null;
+  return { min, max };
+}
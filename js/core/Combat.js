@@ -0,0 +1,48 @@
+import { COMBAT } from './Constants.js';
+
+// Combat math shared by the client and the server. Pure functions over plain
+// numbers and objects: no THREE, no DOM.
+
+// Fraction of a hit absorbed by armor, approaches 1 as armor grows
+export function getArmorReduction(armor) {
+  return armor > 0 ? armor / (armor + COMBAT.ARMOR_CONSTANT) : 0;
+}
+
+// [start, end] of the part of an attack clip that deals damage, as fractions
+// of its length (COMBAT.HIT_WINDOWS)
+export function getHitWindow(animation) {
+  return COMBAT.HIT_WINDOWS[animation] || COMBAT.DEFAULT_HIT_WINDOW;
+}
+
+// Resolve one hit into { amount, crit, blocked, missed }. Never less than 1
+// damage unless it missed.
+export function computeDamage({ base, armor = 0, critChance = 0, missChance = 0, blocking = false, random = Math.random }) {
+  if (missChance > 0 && random() < missChance) {
+    return { amount: 0, crit: false, blocked: false, missed: true };
+  }
+
+  const crit = random() < critChance;
+
+  let amount = base * (crit ? COMBAT.CRIT_MULTIPLIER : 1);
+  amount *= 1 - getArmorReduction(armor);
+  if (blocking) {
+    amount *= 1 - COMBAT.BLOCK_MITIGATION;
+  }
+
+  return { amount: Math.max(1, Math.round(amount)), crit, blocked: blocking, missed: false };
+}
+
+// Graveyard { x, z } closest to a position
+export function findNearestGraveyard(x, z, graveyards = COMBAT.GRAVEYARDS) {
+  let nearest = graveyards[0];
+  let nearestDistance = Infinity;
+
+  graveyards.forEach((graveyard) => {
+    const distance = Math.hypot(graveyard.x - x, graveyard.z - z);
+    if (distance < nearestDistance) {
+      nearest = graveyard;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
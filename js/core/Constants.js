@@ -7,15 +7,32 @@ export const PATHS = {
       WALK: 'walk.fbx',
       RUN: 'run.fbx',
       ATTACK: 'attack.fbx',
+      ATTACK_2: 'attack-2.fbx',
+      ATTACK_3: 'attack-3.fbx',
+      KICK: 'kick.fbx',
+      SHEATH: 'sheath-sword-1.fbx',
       BLOCK: 'block.fbx',
       DEATH: 'death.fbx',
       SLASH: 'slash.fbx',
+      SLASH_2: 'slash-2.fbx',
+      SLASH_3: 'slash-3.fbx',
+      SLASH_4: 'slash-4.fbx',
+      SLASH_5: 'slash-5.fbx',
+      STRAFE_LEFT: 'strafe-2.fbx',
+      STRAFE_RIGHT: 'strafe.fbx',
+      RUN_STRAFE_LEFT: 'strafe-3.fbx',
+      RUN_STRAFE_RIGHT: 'strafe-4.fbx',
       BLOCK_IDLE: 'block-idle.fbx',
       POWER_UP: 'power-up.fbx',
       JUMP: 'jump.fbx'
     }
   },
-  WEAPONS: '../assets/weapons/'
+  WEAPONS: '../assets/weapons/',
+  DATA: {
+    ABILITIES: '../assets/data/abilities.json',
+    SPAWNS: '../assets/data/spawns.json',
+    ITEMS: '../assets/data/items.json'
+  }
 };
 
 export const CAMERA = {
@@ -25,27 +42,486 @@ export const CAMERA = {
   INITIAL_POSITION: [0, 4, 8],
   MIN_DISTANCE: 2,
   MAX_DISTANCE: 20,
-  DAMPING_FACTOR: 0.1
+  INITIAL_DISTANCE: 10,
+  INITIAL_PITCH: 0.35,
+  // Pitch limits in radians, negative looks up at the character from below
+  MIN_PITCH: -0.5,
+  MAX_PITCH: 1.35,
+  // Height above the feet the camera looks at
+  TARGET_HEIGHT: 3,
+  ROTATE_SPEED: 0.005,
+  // Radians per second at full stick deflection
+  GAMEPAD_ROTATE_SPEED: 2.5,
+  // Fraction of the distance zoomed per wheel delta unit
+  ZOOM_SPEED: 0.001,
+  FOLLOW_SMOOTHING: 12,
+  ZOOM_SMOOTHING: 10,
+  // Space kept between the camera and whatever it collides with
+  COLLISION_MARGIN: 0.4
 };
 
 export const CHARACTER = {
+  NAME: 'Adventurer',
+  LEVEL: 1,
   SCALE: 4,
   MOVE_SPEED: 5,
   ROTATION_SPEED: 5,
-  INITIAL_HEALTH: 100
+  INITIAL_HEALTH: 100,
+  MAX_MANA: 100,
+  MANA_REGEN: 2,
+  MAX_RAGE: 100,
+  RAGE_DECAY: 1,
+  ARMOR: 20,
+  CRIT_CHANCE: 0.1,
+  // Flat damage added to every hit, items raise it
+  ATTACK_POWER: 0,
+  // Item ids (assets/data/items.json) equipped on spawn
+  STARTING_EQUIPMENT: ['double_sword'],
+  // { item, count } put in the bags on spawn
+  STARTING_INVENTORY: [
+    { item: 'double_sword_offhand', count: 1 },
+    { item: 'worn_leather_vest', count: 1 }
+  ]
+};
+
+export const EQUIPMENT = {
+  // Bone each socket is parented to, matched by name suffix since rigs prefix
+  // their bones (mixamorigRightHand)
+  SOCKETS: {
+    rightHand: 'RightHand',
+    leftHand: 'LeftHand',
+    back: 'Spine2',
+    hip: 'Hips'
+  },
+  // Socket each slot's item is held in, and where it goes when sheathed.
+  // Armor slots have no model, their items only add stats.
+  SLOTS: {
+    mainHand: { socket: 'rightHand', sheath: 'back' },
+    offHand: { socket: 'leftHand', sheath: 'hip' },
+    head: {},
+    chest: {},
+    legs: {},
+    feet: {}
+  },
+  // Fraction of the SHEATH clip at which the hand reaches the sheath
+  SHEATH_SWAP_TIME: 0.75
+};
+
+export const ANIMATION = {
+  // Default crossfade between states in seconds
+  CROSSFADE: 0.2,
+  // Bones from this one down (spine, arms, head) form the upper body mask
+  UPPER_BODY_ROOT: 'Spine'
 };
 
 export const CONTROLS = {
-  MOVEMENT: {
-    FORWARD: 'w',
-    BACKWARD: 's',
-    LEFT: 'a',
-    RIGHT: 'd',
-    RUN: 'shift'
-  },
-  ACTIONS: {
-    ATTACK: 'capslock',
-    BLOCK: 'f',
-    SPECIAL: 'e'
+  // Saved bindings in localStorage, merged over BINDINGS on load
+  STORAGE_KEY: 'starkcraft.bindings',
+  // Binding slots per action shown in the keybinding panel: a key, a gamepad
+  // input and a spare
+  SLOTS: 3,
+  GAMEPAD_DEADZONE: 0.25,
+  // Default bindings per action. A binding is a KeyboardEvent.code (physical
+  // key), Mouse<button>, GamepadButton<index> or GamepadAxis<index><+|->
+  // using the standard gamepad mapping.
+  BINDINGS: {
+    MOVE_FORWARD: ['KeyW', 'GamepadAxis1-'],
+    MOVE_BACKWARD: ['KeyS', 'GamepadAxis1+'],
+    MOVE_LEFT: ['KeyA', 'GamepadAxis0-'],
+    MOVE_RIGHT: ['KeyD', 'GamepadAxis0+'],
+    RUN: ['ShiftLeft', 'GamepadButton10', 'ShiftRight'],
+    JUMP: ['Space', 'GamepadButton0'],
+    ATTACK: [null, 'GamepadButton2'],
+    BLOCK: ['KeyF', 'GamepadButton1'],
+    SPECIAL: ['KeyE', 'GamepadButton3'],
+    TARGET_CYCLE: ['Tab', 'GamepadButton5'],
+    TARGET_CLEAR: ['Escape', 'GamepadButton4'],
+    CAMERA_LEFT: [null, 'GamepadAxis2-'],
+    CAMERA_RIGHT: [null, 'GamepadAxis2+'],
+    CAMERA_UP: [null, 'GamepadAxis3-'],
+    CAMERA_DOWN: [null, 'GamepadAxis3+'],
+    TOGGLE_SHEATH: ['KeyZ', 'GamepadButton11'],
+    INTERACT: ['KeyG', 'GamepadButton12'],
+    TOGGLE_INVENTORY: ['KeyB', 'GamepadButton9'],
+    TOGGLE_SPELLBOOK: ['KeyP', null],
+    TOGGLE_WORLD_MAP: ['KeyM', null],
+    OPEN_CHAT: ['Enter', 'NumpadEnter'],
+    OPEN_CHAT_COMMAND: ['Slash', null],
+    ACTION_BAR_1: ['Digit1', null],
+    ACTION_BAR_2: ['Digit2', null],
+    ACTION_BAR_3: ['Digit3', null],
+    ACTION_BAR_4: ['Digit4', null],
+    ACTION_BAR_5: ['Digit5', null],
+    ACTION_BAR_6: ['Digit6', null],
+    ACTION_BAR_7: ['Digit7', null],
+    ACTION_BAR_8: ['Digit8', null],
+    ACTION_BAR_9: ['Digit9', null],
+    ACTION_BAR_10: ['Digit0', null],
+    ACTION_BAR_11: ['Minus', null],
+    ACTION_BAR_12: ['Equal', null],
+    TOGGLE_KEYBINDINGS: ['KeyK', 'GamepadButton8']
+  },
+  // Names shown in the keybinding panel, in display order
+  ACTION_LABELS: {
+    MOVE_FORWARD: 'Move Forward',
+    MOVE_BACKWARD: 'Move Backward',
+    MOVE_LEFT: 'Strafe Left',
+    MOVE_RIGHT: 'Strafe Right',
+    RUN: 'Run',
+    JUMP: 'Jump',
+    ATTACK: 'Attack',
+    BLOCK: 'Block',
+    SPECIAL: 'Special Attack',
+    TARGET_CYCLE: 'Target Nearest Enemy',
+    TARGET_CLEAR: 'Clear Target',
+    CAMERA_LEFT: 'Camera Left',
+    CAMERA_RIGHT: 'Camera Right',
+    CAMERA_UP: 'Camera Up',
+    CAMERA_DOWN: 'Camera Down',
+    TOGGLE_SHEATH: 'Sheathe/Draw Weapons',
+    INTERACT: 'Loot Corpse',
+    TOGGLE_INVENTORY: 'Inventory',
+    TOGGLE_SPELLBOOK: 'Spellbook',
+    TOGGLE_WORLD_MAP: 'World Map',
+    OPEN_CHAT: 'Open Chat',
+    OPEN_CHAT_COMMAND: 'Open Chat Command',
+    ACTION_BAR_1: 'Action Bar 1',
+    ACTION_BAR_2: 'Action Bar 2',
+    ACTION_BAR_3: 'Action Bar 3',
+    ACTION_BAR_4: 'Action Bar 4',
+    ACTION_BAR_5: 'Action Bar 5',
+    ACTION_BAR_6: 'Action Bar 6',
+    ACTION_BAR_7: 'Action Bar 7',
+    ACTION_BAR_8: 'Action Bar 8',
+    ACTION_BAR_9: 'Action Bar 9',
+    ACTION_BAR_10: 'Action Bar 10',
+    ACTION_BAR_11: 'Action Bar 11',
+    ACTION_BAR_12: 'Action Bar 12',
+    TOGGLE_KEYBINDINGS: 'Key Bindings'
+  },
+  // Ability ids (assets/data/abilities.json) each action uses
+  ABILITIES: {
+    ATTACK: 'strike',
+    BLOCK: 'shield_block',
+    SPECIAL: 'slash'
+  }
+};
+
+export const ACTION_BAR = {
+  // One ACTION_BAR_<n> binding per slot
+  SLOTS: 12,
+  SLOT_SIZE: 44,
+  STORAGE_KEY: 'starkcraft.actionBar',
+  // Ability ids (assets/data/abilities.json) per slot until the player moves them
+  DEFAULT_LAYOUT: ['strike', 'shield_block', 'slash', 'power_up', 'taunt'],
+  // Cooldowns at least this long show the seconds left on the slot
+  COOLDOWN_TEXT_MIN: 2
+};
+
+export const CHAT = {
+  MAX_LENGTH: 255,
+  // Ground distance a say (and an emote) or a yell carries
+  SAY_RANGE: 40,
+  YELL_RANGE: 150,
+  // Messages kept in the chat frame
+  HISTORY: 200,
+  // A client may send this many messages per window (ms) before the rest are dropped
+  RATE_LIMIT: 5,
+  RATE_WINDOW: 5000,
+  ROLL_DEFAULT_MAX: 100,
+  ROLL_LIMIT: 1000000,
+  COLORS: {
+    say: '#ffffff',
+    yell: '#ff4040',
+    whisper: '#ff80ff',
+    party: '#aaaaff',
+    general: '#ffc0c0',
+    emote: '#ff8040',
+    system: '#ffff00'
+  },
+  // Chat frame tabs and the channels each one shows
+  TABS: [
+    { name: 'General', channels: ['say', 'yell', 'whisper', 'party', 'general', 'emote', 'system'] },
+    { name: 'Party', channels: ['party', 'system'] },
+    { name: 'Whispers', channels: ['whisper', 'system'] }
+  ],
+  // Emote commands, text follows the player's name. There is no dance clip in
+  // the animation pack yet, an emote without animation is only text.
+  EMOTES: {
+    dance: { text: 'bursts into dance.', animation: null },
+    cheer: { text: 'cheers!', animation: 'POWER_UP' },
+    bow: { text: 'bows.', animation: null },
+    wave: { text: 'waves.', animation: null }
   }
-};
\ No newline at end of file
+};
+
+export const UNIT_FRAMES = {
+  // Seconds the lost part of a bar lingers before draining, and how long it drains
+  DRAIN_DELAY: 0.4,
+  DRAIN_TIME: 0.5,
+  RESOURCE_COLORS: {
+    mana: '#2a6ee8',
+    rage: '#c4261d'
+  },
+  PARTY_SIZE: 4,
+  // There are no parties to join yet, the compact frames show the other
+  // players within this distance, nearest first
+  NEARBY_RANGE: 60,
+  PORTRAIT_SIZE: 64
+};
+
+export const COMBAT_TEXT = {
+  // Text elements created up front and reused, the oldest is recycled when all are in use
+  POOL_SIZE: 40,
+  DURATION: 1.2,
+  // Pixels risen over DURATION
+  RISE: 60,
+  // Fraction of DURATION after which the text fades out
+  FADE_START: 0.6,
+  // Random sideways offset in pixels so hits in a row don't stack
+  SPREAD: 30,
+  FONT_SIZE: 20,
+  CRIT_SCALE: 1.6,
+  // World units above the head bone
+  HEAD_OFFSET: 0.5,
+  COLORS: {
+    damage: '#ffffff',
+    // Damage taken by the local player
+    incoming: '#ff4040',
+    crit: '#ffd100',
+    heal: '#40ff40',
+    miss: '#bbbbbb'
+  }
+};
+
+export const NAMEPLATES = {
+  // Hidden further than this from the camera
+  MAX_DISTANCE: 60,
+  // Full size up to this distance, shrinking with distance beyond it
+  FULL_SIZE_DISTANCE: 12,
+  MIN_SCALE: 0.5,
+  // World units above the head bone
+  HEAD_OFFSET: 1.2,
+  WIDTH: 110
+};
+
+export const MAP = {
+  // Square of the world baked into the map texture, centred on the origin
+  WORLD_SIZE: 512,
+  // Texture pixels per side, one terrain sample each
+  TEXTURE_SIZE: 256,
+  // Light direction of the hillshading, from the north west
+  SHADE_DIRECTION: { x: -0.5, y: 0.7, z: -0.5 },
+  MINIMAP_SIZE: 160,
+  // World units from the centre to the rim of the minimap per zoom step
+  MINIMAP_RADII: [120, 80, 50, 30],
+  DEFAULT_ZOOM: 1,
+  // Screen share of the world map, the smaller side of the window
+  WORLD_MAP_SCALE: 0.85,
+  // A waypoint clears once the player is this close to it
+  WAYPOINT_REACHED_DISTANCE: 4,
+  // Color and shape per marker type, edge markers stay on the minimap rim
+  // when out of its range
+  MARKERS: {
+    player: { color: '#ffffff', shape: 'arrow', size: 7 },
+    party: { color: '#4cd964', shape: 'circle', size: 4, edge: true },
+    mob: { color: '#ff3b30', shape: 'circle', size: 3 },
+    questGiver: { color: '#ffd100', shape: 'text', text: '!', size: 12 },
+    graveyard: { color: '#aaccff', shape: 'cross', size: 5 },
+    poi: { color: '#ffffff', shape: 'diamond', size: 5 },
+    waypoint: { color: '#00e5ff', shape: 'diamond', size: 6, edge: true }
+  },
+  // Named places shown on both maps; graveyards come from COMBAT.GRAVEYARDS
+  POINTS_OF_INTEREST: [
+    { name: 'Fox Den', x: -35, z: 25 },
+    { name: 'Fox Warcamp', x: 35, z: -40 }
+  ]
+};
+
+// How auras (see CharacterController.addAura) show on unit frames, unknown
+// ones show as buffs named after their id
+export const AURAS = {
+  block: { name: 'Shield Block', debuff: false }
+};
+
+export const ITEMS = {
+  // Name colors per item quality
+  QUALITY_COLORS: {
+    poor: '#9d9d9d',
+    common: '#ffffff',
+    uncommon: '#1eff00',
+    rare: '#0070dd',
+    epic: '#a335ee',
+    legendary: '#ff8000'
+  },
+  // Character properties an item's stats can raise
+  STATS: ['armor', 'critChance', 'maxHealth', 'maxMana', 'attackPower']
+};
+
+export const INVENTORY = {
+  BAG_SLOTS: 20,
+  // Bag grid width in the inventory window
+  COLUMNS: 5
+};
+
+export const LOOT = {
+  // How close the player has to be to loot a corpse
+  RANGE: 8
+};
+
+export const ABILITIES = {
+  DEFAULT_GCD: 1.5,
+  QUEUE_WINDOW: 0.4,
+  // Combo presses this long before a step's recovery are buffered, earlier ones are dropped
+  COMBO_BUFFER_TIME: 0.4,
+  // Seconds after a step's clip ends before the chain starts over
+  COMBO_RESET_TIME: 1
+};
+
+export const COMBAT = {
+  // armor / (armor + ARMOR_CONSTANT) of a hit is absorbed
+  ARMOR_CONSTANT: 100,
+  CRIT_MULTIPLIER: 2,
+  BLOCK_MITIGATION: 0.6,
+  // Distance from the weapon to a body that still counts as a hit
+  WEAPON_REACH: 1.2,
+  // Part of each attack clip where the weapon deals damage, as fractions of its length
+  HIT_WINDOWS: {
+    ATTACK: [0.3, 0.6],
+    ATTACK_2: [0.4, 0.55],
+    ATTACK_3: [0.35, 0.58],
+    KICK: [0.2, 0.48],
+    SLASH: [0.25, 0.65],
+    SLASH_2: [0.15, 0.72],
+    SLASH_3: [0.38, 0.58],
+    SLASH_4: [0.42, 0.65],
+    SLASH_5: [0.36, 0.66]
+  },
+  DEFAULT_HIT_WINDOW: [0.3, 0.7],
+  RESPAWN_TIME: 5,
+  GRAVEYARDS: [
+    { x: 0, z: 0 },
+    { x: 160, z: -120 },
+    { x: -180, z: 140 }
+  ]
+};
+
+// Defaults for mob templates in the spawn table, a template can override any of these
+export const MOBS = {
+  FACTION: 'hostile',
+  SCALE: 4,
+  AGGRO_RADIUS: 15,
+  // Distance from its home (spawn point or patrol waypoint) before the mob gives up and resets
+  LEASH_RADIUS: 40,
+  ATTACK_RANGE: 2.5,
+  ATTACK_INTERVAL: 2.2,
+  WALK_SPEED: 2.5,
+  RUN_SPEED: 7,
+  ROTATION_SPEED: 8,
+  // Time spent turning to face a new target before charging
+  AGGRO_DELAY: 0.4,
+  PATROL_WAIT: 3,
+  WAYPOINT_TOLERANCE: 0.5,
+  RESPAWN_TIME: 30
+};
+
+export const THREAT = {
+  // A challenger must pass the current target's threat by this factor to pull the mob
+  MELEE_SWITCH: 1.1,
+  RANGED_SWITCH: 1.3,
+  // Threat per point healed, split between the mobs fighting the healed entity
+  HEAL_MULTIPLIER: 0.5,
+  TAUNT_DURATION: 3
+};
+
+export const TARGETING = {
+  // Tab only cycles through hostiles this close and in front of the camera
+  MAX_DISTANCE: 40,
+  // A pointer that moved further than this (px) was a camera drag, not a click
+  CLICK_TOLERANCE: 5,
+  RING_SEGMENTS: 48,
+  // Ring radius relative to the target's hit radius
+  RING_SCALE: 2.2,
+  RING_OFFSET: 0.08,
+  HOSTILE_COLOR: 0xff3b30,
+  FRIENDLY_COLOR: 0x4cd964,
+  DEAD_COLOR: 0x8e8e93
+};
+
+export const PHYSICS = {
+  GRAVITY: -20,
+  FIXED_TIME_STEP: 1 / 60,
+  MAX_SUB_STEPS: 5,
+  CHARACTER_MASS: 70,
+  CAPSULE_RADIUS: 0.6,
+  CAPSULE_HEIGHT: 3.2,
+  GROUND_CHECK_DISTANCE: 0.15,
+  JUMP_VELOCITY: 9
+};
+
+export const TERRAIN = {
+  SEED: 1337,
+  CHUNK_SIZE: 64,
+  CHUNK_RESOLUTION: 32,
+  HEIGHT_SCALE: 10,
+  NOISE_SCALE: 0.008,
+  OCTAVES: 4,
+  SPAWN_FLAT_RADIUS: 16,
+  VIEW_DISTANCE: 2,
+  CHUNKS_PER_FRAME: 1,
+  GROUND_TOLERANCE: 0.5
+};
+
+export const GRASS = {
+  PATCH_SIZE: 16,
+  BLADES_PER_PATCH: 800,
+  VIEW_DISTANCE: 64,
+  PATCHES_PER_FRAME: 2,
+  BLADE_HEIGHT: 1.2,
+  BLADE_WIDTH: 0.15,
+  MIN_GROUND_NORMAL_Y: 0.85,
+  BEND_RADIUS: 2.5,
+  BEND_STRENGTH: 0.8
+};
+
+export const WORLD_TIME = {
+  DAY_LENGTH: 1200,
+  START_HOUR: 10,
+  SUN_DISTANCE: 800,
+  SUN_TILT: 0.3,
+  SKY_RADIUS: 1000,
+  SHADOW_DISTANCE: 200
+};
+
+// Material preset rules per asset, first match wins. `mesh` and `material` are
+// case-insensitive regular expressions on the names, `slot` a material index.
+export const MATERIAL_PRESETS = {
+  character: [
+    { mesh: '.*', preset: 'fur', options: { furDepth: 0.01, windStrength: 0.01 } }
+  ],
+  weapon: [
+    { mesh: '.*', preset: 'metal', options: { roughness: 0.4, metalness: 0.8 } }
+  ]
+};
+
+export const NETWORK = {
+  SERVER_PORT: 8080,
+  TICK_RATE: 20,
+  CONNECT_TIMEOUT: 3000,
+  // Inputs held for later ticks, the oldest is dropped past this
+  MAX_INPUT_QUEUE: 10,
+  // Anti-cheat: the server simulates one input per tick it has run, and lets
+  // at most this many build up so late packets can catch up. Flooding inputs
+  // can't move a player faster than real time.
+  MAX_INPUT_BURST: 3,
+  INTERPOLATION_DELAY: 100,
+  MAX_INPUT_HISTORY: 120,
+  CORRECTION_SNAP_DISTANCE: 3,
+  CORRECTION_BLEND_RATE: 10,
+  ACTION_DURATION: 1.0,
+  // Seconds between status (health, resources, auras) updates for party frames
+  STATUS_INTERVAL: 0.25,
+  // Limits on the status a client may send
+  MAX_NAME_LENGTH: 24,
+  MAX_STATUS_AURAS: 16
+};
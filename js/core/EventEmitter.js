@@ -0,0 +1,37 @@
+// Minimal event emitter shared by the browser client and the Node server
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  // Subscribe to an event, returns a function that removes the listener
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    const callbacks = this.listeners.get(event);
+    if (callbacks) {
+      callbacks.delete(callback);
+      if (callbacks.size === 0) {
+        this.listeners.delete(event);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    const callbacks = this.listeners.get(event);
+    if (!callbacks) return;
+
+    // Copy so listeners can unsubscribe while we iterate
+    [...callbacks].forEach((callback) => callback(...args));
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,58 @@
+import { TERRAIN } from './Constants.js';
+import { createNoise2D, fractalNoise2D } from './Noise.js';
+
+// Deterministic terrain heights from seeded noise. Heights are sampled on the
+// same grid the terrain meshes and physics heightfields use, and interpolated
+// bilinearly in between, so the server and the client agree on the ground.
+export class Heightmap {
+  constructor({ seed = TERRAIN.SEED } = {}) {
+    this.seed = seed;
+    this.noise = createNoise2D(seed);
+    this.cellSize = TERRAIN.CHUNK_SIZE / TERRAIN.CHUNK_RESOLUTION;
+  }
+
+  // Raw height at a grid vertex
+  sampleHeight(x, z) {
+    const value = fractalNoise2D(this.noise, x * TERRAIN.NOISE_SCALE, z * TERRAIN.NOISE_SCALE, {
+      octaves: TERRAIN.OCTAVES
+    });
+
+    // Flatten the area around the spawn point
+    const distance = Math.hypot(x, z);
+    const flatten = Math.min(1, Math.max(0, (distance - TERRAIN.SPAWN_FLAT_RADIUS) / TERRAIN.SPAWN_FLAT_RADIUS));
+
+    return value * TERRAIN.HEIGHT_SCALE * flatten;
+  }
+
+  getHeightAt(x, z) {
+    const gridX = x / this.cellSize;
+    const gridZ = z / this.cellSize;
+    const x0 = Math.floor(gridX);
+    const z0 = Math.floor(gridZ);
+    const tx = gridX - x0;
+    const tz = gridZ - z0;
+
+    const size = this.cellSize;
+    const h00 = this.sampleHeight(x0 * size, z0 * size);
+    const h10 = this.sampleHeight((x0 + 1) * size, z0 * size);
+    const h01 = this.sampleHeight(x0 * size, (z0 + 1) * size);
+    const h11 = this.sampleHeight((x0 + 1) * size, (z0 + 1) * size);
+
+    const top = h00 + (h10 - h00) * tx;
+    const bottom = h01 + (h11 - h01) * tx;
+    return top + (bottom - top) * tz;
+  }
+
+  // Unit surface normal from central differences, as a plain { x, y, z }
+  getNormalAt(x, z) {
+    const offset = this.cellSize * 0.5;
+    const dx = this.getHeightAt(x + offset, z) - this.getHeightAt(x - offset, z);
+    const dz = this.getHeightAt(x, z + offset) - this.getHeightAt(x, z - offset);
+
+    const nx = -dx;
+    const ny = offset * 2;
+    const nz = -dz;
+    const length = Math.hypot(nx, ny, nz);
+    return { x: nx / length, y: ny / length, z: nz / length };
+  }
+}
@@ -0,0 +1,97 @@
+import { CHARACTER } from './Constants.js';
+
+// Deterministic character movement shared by the server, client prediction and
+// offline play. Pure functions over plain objects: no THREE, no DOM.
+//
+// state: { x, y, z, rotation, isMoving, isRunning }
+// input: { forward, backward, left, right, run, yaw, faceCamera }, where yaw is
+//        the camera heading in radians (0 looks down +z) and faceCamera turns
+//        the character to the camera heading (mouselook) instead of towards
+//        the direction it moves
+
+export function createMovementState({ x = 0, y = 0, z = 0, rotation = 0 } = {}) {
+  return { x, y, z, rotation, isMoving: false, isRunning: false };
+}
+
+// Movement actions a client sends each tick, see CharacterController.getMovementActions
+export const MOVEMENT_ACTIONS = ['forward', 'backward', 'left', 'right', 'run', 'mouselook'];
+
+// Build a movement input from held movement actions
+export function inputFromActions(actions, yaw) {
+  return {
+    forward: actions.forward === true,
+    backward: actions.backward === true,
+    left: actions.left === true,
+    right: actions.right === true,
+    run: actions.run === true,
+    faceCamera: actions.mouselook === true,
+    yaw
+  };
+}
+
+// Wrap an angle to [-PI, PI]
+export function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+// Returns the state after applying input for deltaTime seconds
+export function stepMovement(state, input, deltaTime) {
+  // Camera-relative basis from the yaw, right is screen right for a camera
+  // looking along forward
+  const forwardX = Math.sin(input.yaw);
+  const forwardZ = Math.cos(input.yaw);
+  const rightX = -forwardZ;
+  const rightZ = forwardX;
+
+  let moveX = 0;
+  let moveZ = 0;
+
+  if (input.forward) { moveX += forwardX; moveZ += forwardZ; }
+  if (input.backward) { moveX -= forwardX; moveZ -= forwardZ; }
+  if (input.left) { moveX -= rightX; moveZ -= rightZ; }
+  if (input.right) { moveX += rightX; moveZ += rightZ; }
+
+  const length = Math.hypot(moveX, moveZ);
+  if (length === 0) {
+    const rotation = input.faceCamera ? input.yaw : state.rotation;
+    return { ...state, rotation, isMoving: false, isRunning: false };
+  }
+
+  const speed = input.run ? CHARACTER.MOVE_SPEED * 2 : CHARACTER.MOVE_SPEED;
+  moveX = (moveX / length) * speed * deltaTime;
+  moveZ = (moveZ / length) * speed * deltaTime;
+
+  // Turn smoothly towards the movement direction, or keep facing the camera
+  // heading and strafe while mouselooking
+  let rotation = input.yaw;
+  if (!input.faceCamera) {
+    const targetRotation = Math.atan2(moveX, moveZ);
+    const rotationDiff = wrapAngle(targetRotation - state.rotation);
+    rotation = state.rotation + rotationDiff * CHARACTER.ROTATION_SPEED * deltaTime;
+  }
+
+  return {
+    ...state,
+    x: state.x + moveX,
+    z: state.z + moveZ,
+    rotation,
+    isMoving: true,
+    isRunning: input.run
+  };
+}
+
+// Locomotion clip name for a state and the input that led to it, matching
+// the states of CharacterAnimationGraph. Strafing and backpedalling only
+// happen while facing the camera, otherwise the character turns to face
+// where it goes.
+export function getMovementAnimation(state, input = null) {
+  if (!state.isMoving) return 'IDLE';
+
+  const running = state.isRunning;
+  if (input && input.faceCamera) {
+    const strafe = input.forward || input.backward ? 0 : Number(input.right) - Number(input.left);
+    if (strafe !== 0) return `${running ? 'RUN_' : ''}STRAFE_${strafe < 0 ? 'LEFT' : 'RIGHT'}`;
+    if (input.backward && !input.forward) return running ? 'RUN_BACK' : 'WALK_BACK';
+  }
+  return running ? 'RUN' : 'WALK';
+}
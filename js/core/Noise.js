@@ -0,0 +1,82 @@
+// Seeded random numbers and 2D gradient noise. Pure so the server and the
+// client generate the exact same world from the same seed.
+
+// mulberry32, returns a function producing floats in [0, 1)
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const GRADIENTS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2],
+  [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2]
+];
+
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Perlin noise, returns a function (x, y) => value in roughly [-1, 1]
+export function createNoise2D(seed) {
+  const random = createRandom(seed);
+
+  // Shuffled permutation table, doubled to skip index wrapping
+  const permutation = new Uint8Array(512);
+  const base = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = base.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [base[i], base[j]] = [base[j], base[i]];
+  }
+  for (let i = 0; i < 512; i++) {
+    permutation[i] = base[i & 255];
+  }
+
+  const dot = (hash, x, y) => {
+    const gradient = GRADIENTS[hash & 7];
+    return gradient[0] * x + gradient[1] * y;
+  };
+
+  return (x, y) => {
+    const cellX = Math.floor(x);
+    const cellY = Math.floor(y);
+    const xi = cellX & 255;
+    const yi = cellY & 255;
+    const xf = x - cellX;
+    const yf = y - cellY;
+
+    const topLeft = permutation[permutation[xi] + yi];
+    const topRight = permutation[permutation[xi + 1] + yi];
+    const bottomLeft = permutation[permutation[xi] + yi + 1];
+    const bottomRight = permutation[permutation[xi + 1] + yi + 1];
+
+    const u = fade(xf);
+    const v = fade(yf);
+
+    const top = lerp(dot(topLeft, xf, yf), dot(topRight, xf - 1, yf), u);
+    const bottom = lerp(dot(bottomLeft, xf, yf - 1), dot(bottomRight, xf - 1, yf - 1), u);
+    return lerp(top, bottom, v) * Math.SQRT2;
+  };
+}
+
+// Sum octaves of a noise function, normalized back to roughly [-1, 1]
+export function fractalNoise2D(noise, x, y, { octaves = 4, lacunarity = 2, persistence = 0.5 } = {}) {
+  let value = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let totalAmplitude = 0;
+
+  for (let i = 0; i < octaves; i++) {
+    value += noise(x * frequency, y * frequency) * amplitude;
+    totalAmplitude += amplitude;
+    amplitude *= persistence;
+    frequency *= lacunarity;
+  }
+
+  return value / totalAmplitude;
+}
@@ -0,0 +1,30 @@
+// Message types exchanged between the game server and the browser client.
+// Every message is a JSON object with a `type` field plus its payload.
+export const MESSAGE = {
+  WELCOME: 'welcome',
+  INPUT: 'input',
+  ACTION: 'action',
+  RESPAWN: 'respawn',
+  STATUS: 'status',
+  CHAT: 'chat',
+  CHAT_COMMAND: 'chatCommand',
+  SNAPSHOT: 'snapshot',
+  PLAYER_LEFT: 'playerLeft'
+};
+
+export function encodeMessage(type, payload = {}) {
+  return JSON.stringify({ type, ...payload });
+}
+
+// Returns null for anything that is not a well-formed message
+export function decodeMessage(data) {
+  try {
+    const message = JSON.parse(data);
+    if (message && typeof message.type === 'string') {
+      return message;
+    }
+  } catch (error) {
+    // Fall through to null
+  }
+  return null;
+}
@@ -1,12 +1,42 @@
 // Import Three.js and required modules
 import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import * as CANNON from 'cannon-es';
 import { CharacterController } from './controllers/CharacterController.js';
+import { CameraController } from './controllers/CameraController.js';
+import { RemotePlayerController } from './controllers/RemotePlayerController.js';
 import { SceneManager } from './managers/SceneManager.js';
 import { AssetManager } from './managers/AssetManager.js';
-import { CAMERA } from './core/Constants.js';
+import { NetworkManager } from './managers/NetworkManager.js';
+import { PhysicsManager } from './managers/PhysicsManager.js';
+import { TerrainManager } from './managers/TerrainManager.js';
+import { MaterialManager } from './managers/MaterialManager.js';
+import { GrassManager } from './managers/GrassManager.js';
+import { MobManager } from './managers/MobManager.js';
+import { InputManager } from './managers/InputManager.js';
+import { WorldTime } from './systems/WorldTime.js';
+import { AbilitySystem } from './systems/AbilitySystem.js';
+import { CombatSystem } from './systems/CombatSystem.js';
+import { ThreatSystem } from './systems/ThreatSystem.js';
+import { TargetingSystem } from './systems/TargetingSystem.js';
+import { ItemDatabase } from './systems/ItemDatabase.js';
+import { Inventory } from './systems/Inventory.js';
+import { LootSystem } from './systems/LootSystem.js';
+import { ChatSystem } from './systems/ChatSystem.js';
+import { MapSystem } from './systems/MapSystem.js';
+import { TargetFrame } from './ui/TargetFrame.js';
+import { KeybindingPanel } from './ui/KeybindingPanel.js';
+import { InventoryWindow } from './ui/InventoryWindow.js';
+import { LootWindow } from './ui/LootWindow.js';
+import { HUD } from './ui/HUD.js';
+import { ActionBar } from './ui/ActionBar.js';
+import { SpellBook } from './ui/SpellBook.js';
+import { PartyFrames } from './ui/PartyFrames.js';
+import { CombatText } from './ui/CombatText.js';
+import { Nameplates } from './ui/Nameplates.js';
+import { ChatFrame } from './ui/ChatFrame.js';
+import { Minimap } from './ui/Minimap.js';
+import { WorldMapWindow } from './ui/WorldMapWindow.js';
+import { CAMERA, CHARACTER, PATHS, UNIT_FRAMES } from './core/Constants.js';
+import { MESSAGE } from './core/Protocol.js';
 
 // Debug logging utility
 const DEBUG = {
@@ -24,9 +54,23 @@ class Game {
     
     this.sceneManager = new SceneManager();
     this.assetManager = new AssetManager();
+    this.networkManager = new NetworkManager();
+    this.physicsManager = new PhysicsManager();
+    this.terrainManager = new TerrainManager(this.sceneManager.scene, this.physicsManager);
+    this.grassManager = new GrassManager(this.sceneManager.scene, this.terrainManager);
+    this.worldTime = new WorldTime(this.sceneManager.scene, this.sceneManager.lights);
+    this.materialManager = new MaterialManager();
+    this.inputManager = new InputManager(window, this.sceneManager.renderer.domElement);
+    this.keybindingPanel = new KeybindingPanel(this.inputManager);
+    this.hud = new HUD();
+    this.combatSystem = new CombatSystem();
+    this.threatSystem = new ThreatSystem(this.combatSystem);
+    this.mobManager = new MobManager(this.sceneManager.scene, this.terrainManager, this.combatSystem);
+    this.remotePlayers = new Map();
+    // id -> last MESSAGE.STATUS of each remote player
+    this.remoteStatuses = new Map();
     this.clock = new THREE.Clock();
     this.setupCamera();
-    this.setupControls();
     this.init();
   }
   
@@ -36,58 +80,413 @@ class Game {
     this.sceneManager.camera.lookAt(0, 0, 0);
   }
   
-  setupControls() {
-    this.controls = new OrbitControls(this.sceneManager.camera, this.sceneManager.renderer.domElement);
-    this.controls.enableDamping = true;
-    this.controls.dampingFactor = CAMERA.DAMPING_FACTOR;
-    this.controls.minDistance = CAMERA.MIN_DISTANCE;
-    this.controls.maxDistance = CAMERA.MAX_DISTANCE;
-  }
-  
   async init() {
     try {
-      const loader = new FBXLoader();
-      const weaponPath = '../assets/weapons/Double_Sword_1.fbx';
+      // Terrain chunks around the spawn point, with their colliders
+      this.terrainManager.loadAround(new THREE.Vector3(0, 0, 0));
       
-      // Load weapon model
-      const weapon = await loader.loadAsync(weaponPath);
-      DEBUG.log('Game', 'init', 'Weapon loaded successfully');
-
       // Load character and animations
       const { character, animations } = await this.assetManager.loadAllAssets();
       
       this.characterController = new CharacterController(
         character,
-        weapon,
         animations,
         this.sceneManager.scene
       );
+      this.materialManager.applyPresets(character, 'character');
+      
+      this.itemDatabase = new ItemDatabase(await this.assetManager.loadJSON(PATHS.DATA.ITEMS));
+      this.inventory = new Inventory(this.itemDatabase);
+      CHARACTER.STARTING_INVENTORY.forEach(({ item, count }) => this.inventory.addItem(item, count));
+      await Promise.all(CHARACTER.STARTING_EQUIPMENT.map((id) => this.equipItem(id)));
+      this.characterController.setTerrain(this.terrainManager);
+      this.characterController.setPhysics(this.physicsManager);
+      this.characterController.setInput(this.inputManager);
+      
+      // Follows the character from here on, setupCamera only framed the loading view
+      this.cameraController = new CameraController(
+        this.sceneManager.camera,
+        this.sceneManager.renderer.domElement,
+        this.characterController,
+        { physics: this.physicsManager, terrain: this.terrainManager, input: this.inputManager }
+      );
+      
+      const abilities = await this.assetManager.loadJSON(PATHS.DATA.ABILITIES);
+      this.abilitySystem = new AbilitySystem(this.characterController, abilities);
+      this.characterController.setAbilitySystem(this.abilitySystem);
+      this.combatSystem.register(this.characterController, { respawns: true });
+      this.combatSystem.attachAbilitySystem(this.abilitySystem);
+      this.threatSystem.attachAbilitySystem(this.abilitySystem);
+      this.threatSystem.trackHealing(this.characterController);
+      
+      // Slots go through the same path as the ATTACK/BLOCK/SPECIAL keys
+      const useAbility = (id) => this.characterController.useAbility(id);
+      this.actionBar = new ActionBar({
+        input: this.inputManager,
+        abilities: this.abilitySystem,
+        player: this.characterController,
+        onActivate: useAbility
+      }, this.hud.element);
+      this.spellBook = new SpellBook({
+        input: this.inputManager,
+        abilities: this.abilitySystem,
+        onActivate: useAbility
+      });
+      
+      this.targetingSystem = new TargetingSystem({
+        camera: this.sceneManager.camera,
+        domElement: this.sceneManager.renderer.domElement,
+        scene: this.sceneManager.scene,
+        terrain: this.terrainManager,
+        combat: this.combatSystem,
+        owner: this.characterController,
+        input: this.inputManager
+      });
+      this.targetFrame = new TargetFrame(this.targetingSystem);
+      this.characterController.setTargeting(this.targetingSystem);
+      
+      this.lootSystem = new LootSystem(this.combatSystem, this.itemDatabase);
+      this.lootWindow = new LootWindow({
+        loot: this.lootSystem,
+        inventory: this.inventory,
+        player: this.characterController,
+        targeting: this.targetingSystem,
+        input: this.inputManager,
+        database: this.itemDatabase
+      });
+      this.inventoryWindow = new InventoryWindow({
+        inventory: this.inventory,
+        player: this.characterController,
+        input: this.inputManager,
+        onEquip: (index) => this.equipFromInventory(index),
+        onUnequip: (slot) => this.unequipToInventory(slot)
+      });
+      this.combatSystem.on('death', ({ target }) => {
+        if (target === this.characterController) {
+          DEBUG.log('Game', 'death', `Respawning in ${this.combatSystem.getRespawnRemaining(target)}s`);
+        }
+      });
+      
+      const spawnTable = await this.assetManager.loadJSON(PATHS.DATA.SPAWNS);
+      this.mobManager.populate(spawnTable, {
+        createModel: () => {
+          const model = this.assetManager.cloneCharacter();
+          this.materialManager.applyPresets(model, 'character');
+          return model;
+        },
+        animations: this.assetManager.animations
+      });
+      
+      this.characterController.portrait = this.sceneManager.renderPortrait(
+        this.characterController.character,
+        UNIT_FRAMES.PORTRAIT_SIZE
+      );
+      this.partyFrames = new PartyFrames(this.characterController, this.hud.element);
+      
+      this.mapSystem = new MapSystem({
+        terrain: this.terrainManager,
+        player: this.characterController,
+        combat: this.combatSystem,
+        // The same players as the party frames
+        getPartyMembers: () => this.partyFrames.getMembers()
+      });
+      this.minimap = new Minimap(this.mapSystem, this.hud.element);
+      this.worldMapWindow = new WorldMapWindow({ map: this.mapSystem, input: this.inputManager });
+      
+      this.chatSystem = new ChatSystem({ network: this.networkManager, player: this.characterController });
+      this.chatFrame = new ChatFrame({ chat: this.chatSystem, input: this.inputManager }, this.hud.element);
+      this.chatSystem.addSystemMessage('Press Enter to chat, type /help for a list of commands.');
       
-      this.sceneManager.add(this.characterController.model);
+      this.combatText = new CombatText({
+        combat: this.combatSystem,
+        camera: this.sceneManager.camera,
+        player: this.characterController
+      }, this.hud.element);
+      this.combatText.track(this.characterController);
+      this.nameplates = new Nameplates({
+        camera: this.sceneManager.camera,
+        // Everyone but us: mobs and other players
+        getEntities: () => this.targetingSystem.getEntities(),
+        isHostile: (entity) => this.combatSystem.isHostile(this.characterController, entity)
+      }, this.hud.element);
       this.animate();
+      
+      await this.connectToServer();
     } catch (error) {
       console.error('Failed to initialize game:', error);
     }
   }
   
+  // The model an equipped item shows on the character, null for armor without one
+  async loadItemObject(item) {
+    if (!item.model) return null;
+    
+    const model = await this.assetManager.loadItemModel(item);
+    this.materialManager.applyPresets(model, 'weapon');
+    return model;
+  }
+  
+  // Put an item on the player, replacing what was in its slot
+  async equipItem(id) {
+    const item = this.itemDatabase.get(id);
+    if (!item) {
+      console.warn(`Unknown item: ${id}`);
+      return null;
+    }
+    
+    this.characterController.equipment.equip(item, await this.loadItemObject(item));
+    DEBUG.log('Game', 'equipItem', `Equipped ${item.name}`);
+    return item;
+  }
+  
+  // Equip the item in a bag slot, whatever it replaces goes back into the bags
+  async equipFromInventory(index) {
+    const item = this.inventory.getItem(index);
+    if (!item || !item.slot) return false;
+    
+    const object = await this.loadItemObject(item);
+    // The bags may have changed while the model loaded
+    if (this.inventory.getItem(index) !== item) return false;
+    
+    this.inventory.removeFromSlot(index, 1);
+    const previous = this.characterController.equipment.equip(item, object);
+    // The replaced item takes the freed slot when there is one
+    if (previous && this.inventory.getSlot(index)) {
+      this.inventory.addItem(previous.item.id);
+    } else if (previous) {
+      this.inventory.setSlot(index, { itemId: previous.item.id, count: 1 });
+    }
+    DEBUG.log('Game', 'equipFromInventory', `Equipped ${item.name}`);
+    return true;
+  }
+  
+  // Take off a slot's item into the bags, if there is room for it
+  unequipToInventory(slot) {
+    const item = this.characterController.equipment.getItem(slot);
+    if (!item) return false;
+    
+    if (this.inventory.getSpaceFor(item.id) < 1) {
+      DEBUG.log('Game', 'unequipToInventory', 'Inventory is full');
+      return false;
+    }
+    
+    this.characterController.equipment.unequip(slot);
+    this.inventory.addItem(item.id);
+    return true;
+  }
+  
+  async connectToServer() {
+    try {
+      const welcome = await this.networkManager.connect();
+      DEBUG.log('Game', 'connectToServer', `Connected as player ${welcome.id}`);
+      
+      this.networkManager.on(MESSAGE.SNAPSHOT, (snapshot) => this.handleSnapshot(snapshot));
+      this.networkManager.on(MESSAGE.PLAYER_LEFT, ({ id }) => this.removeRemotePlayer(id));
+      this.networkManager.on(MESSAGE.STATUS, ({ id, status }) => this.handleStatus(id, status));
+      this.networkManager.on('disconnected', () => {
+        console.warn('Lost connection to game server, continuing offline');
+        this.remotePlayers.forEach((remotePlayer, id) => this.removeRemotePlayer(id));
+      });
+      this.characterController.setNetwork(this.networkManager);
+    } catch (error) {
+      console.warn('Game server unavailable, running offline:', error.message);
+    }
+  }
+  
+  handleSnapshot(snapshot) {
+    const receivedAt = performance.now();
+    const activeIds = new Set();
+    
+    snapshot.players.forEach((state) => {
+      if (state.id === this.networkManager.playerId) {
+        this.characterController.applyServerState(state);
+        return;
+      }
+      
+      activeIds.add(state.id);
+      let remotePlayer = this.remotePlayers.get(state.id);
+      if (!remotePlayer) {
+        const model = this.assetManager.cloneCharacter();
+        this.materialManager.applyPresets(model, 'character');
+        remotePlayer = new RemotePlayerController(
+          state.id,
+          model,
+          this.assetManager.animations,
+          this.sceneManager.scene
+        );
+        this.remotePlayers.set(state.id, remotePlayer);
+        this.combatSystem.register(remotePlayer);
+        if (this.remoteStatuses.has(state.id)) {
+          remotePlayer.applyStatus(this.remoteStatuses.get(state.id));
+        }
+        DEBUG.log('Game', 'handleSnapshot', `Remote player ${state.id} joined`);
+      }
+      remotePlayer.pushSnapshot(state, receivedAt);
+    });
+    
+    // Anyone missing from the snapshot is no longer on the server
+    this.remotePlayers.forEach((remotePlayer, id) => {
+      if (!activeIds.has(id)) {
+        this.removeRemotePlayer(id);
+      }
+    });
+  }
+  
+  // Statuses can arrive before the player's first snapshot, keep the latest
+  // one for when its controller is made
+  handleStatus(id, status) {
+    if (id === this.networkManager.playerId) return;
+    
+    this.remoteStatuses.set(id, status);
+    const remotePlayer = this.remotePlayers.get(id);
+    if (remotePlayer) {
+      remotePlayer.applyStatus(status);
+    }
+  }
+  
+  // Remote players within UNIT_FRAMES.NEARBY_RANGE, nearest first
+  getNearbyPlayers() {
+    const position = this.characterController.character.position;
+    return Array.from(this.remotePlayers.values())
+      .map((remotePlayer) => ({ remotePlayer, distance: remotePlayer.getPosition().distanceTo(position) }))
+      .filter(({ distance }) => distance <= UNIT_FRAMES.NEARBY_RANGE)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, UNIT_FRAMES.PARTY_SIZE)
+      .map(({ remotePlayer }) => remotePlayer);
+  }
+  
+  removeRemotePlayer(id) {
+    this.remoteStatuses.delete(id);
+    const remotePlayer = this.remotePlayers.get(id);
+    if (remotePlayer) {
+      if (this.partyFrames) {
+        this.partyFrames.removeMember(remotePlayer);
+      }
+      this.combatSystem.unregister(remotePlayer);
+      this.threatSystem.removeFromAll(remotePlayer);
+      remotePlayer.dispose();
+      this.remotePlayers.delete(id);
+    }
+  }
+  
   animate() {
     requestAnimationFrame(() => this.animate());
     
     const delta = this.clock.getDelta();
+    this.inputManager.update();
     
     if (this.characterController) {
       this.characterController.update(delta, this.sceneManager.camera);
+      const playerPosition = this.characterController.character.position;
+      this.terrainManager.update(playerPosition);
+      this.worldTime.update(delta, this.sceneManager.camera, playerPosition);
+      this.grassManager.update(playerPosition, this.clock.elapsedTime, this.worldTime.sunPosition);
+      this.materialManager.update(this.clock.elapsedTime, this.worldTime.sunPosition);
+    }
+    
+    this.mobManager.update(delta);
+    if (this.targetingSystem) {
+      this.targetingSystem.update();
     }
+    this.combatSystem.update(delta);
+    if (this.lootSystem) {
+      this.lootSystem.update();
+      this.lootWindow.update();
+    }
+    if (this.actionBar) {
+      this.actionBar.update();
+    }
+    if (this.partyFrames) {
+      this.partyFrames.setMembers(this.getNearbyPlayers());
+      this.partyFrames.update(delta);
+    }
+    this.physicsManager.update(delta);
     
-    this.controls.update();
+    if (this.characterController) {
+      this.characterController.syncWithPhysics();
+    }
+    
+    this.remotePlayers.forEach((remotePlayer) => remotePlayer.update(delta));
+    
+    if (this.cameraController) {
+      this.cameraController.update(delta);
+    }
+    
+    // World space HUD follows the final camera of the frame
+    if (this.nameplates) {
+      this.nameplates.update();
+      this.combatText.update(delta);
+    }
+    if (this.minimap) {
+      this.mapSystem.update();
+      this.minimap.update();
+      this.worldMapWindow.update();
+    }
     this.sceneManager.render();
   }
   
   dispose() {
+    if (this.minimap) {
+      this.minimap.dispose();
+      this.worldMapWindow.dispose();
+      this.mapSystem.dispose();
+    }
+    if (this.chatFrame) {
+      this.chatFrame.dispose();
+      this.chatSystem.dispose();
+    }
+    if (this.nameplates) {
+      this.nameplates.dispose();
+      this.combatText.dispose();
+    }
+    if (this.partyFrames) {
+      this.partyFrames.dispose();
+    }
+    if (this.actionBar) {
+      this.actionBar.dispose();
+      this.spellBook.dispose();
+    }
+    if (this.inventoryWindow) {
+      this.inventoryWindow.dispose();
+    }
+    if (this.lootWindow) {
+      this.lootWindow.dispose();
+    }
+    if (this.lootSystem) {
+      this.lootSystem.dispose();
+    }
+    if (this.inventory) {
+      this.inventory.dispose();
+    }
+    if (this.targetFrame) {
+      this.targetFrame.dispose();
+    }
+    if (this.targetingSystem) {
+      this.targetingSystem.dispose();
+    }
+    this.mobManager.dispose();
+    this.threatSystem.dispose();
+    this.combatSystem.dispose();
+    if (this.abilitySystem) {
+      this.abilitySystem.dispose();
+    }
     if (this.characterController) {
       this.characterController.dispose();
     }
-    this.controls.dispose();
+    this.remotePlayers.forEach((remotePlayer) => remotePlayer.dispose());
+    this.remotePlayers.clear();
+    this.networkManager.dispose();
+    this.materialManager.dispose();
+    this.worldTime.dispose();
+    this.grassManager.dispose();
+    this.terrainManager.dispose();
+    this.physicsManager.dispose();
+    if (this.cameraController) {
+      this.cameraController.dispose();
+    }
+    this.keybindingPanel.dispose();
+    this.hud.dispose();
+    this.inputManager.dispose();
     this.sceneManager.dispose();
   }
 }
@@ -1,8 +1,10 @@
+import * as THREE from 'three';
+
 /**
  * Sets up high-quality professional lighting for the scene
  * Uses a combination of directional, ambient, and point lights for realistic rendering
  */
-function setupLighting(scene) {
+export function setupLighting(scene) {
   // Create lights
   const lights = {};
   
@@ -70,7 +72,7 @@ function setupLighting(scene) {
  * Updates lighting to match the dynamic sky
  * Called during animation loop
  */
-function updateLighting(lights, sunPosition, dayNightCycle) {
+export function updateLighting(lights, sunPosition, dayNightCycle) {
   // Day-night color temperatures
   const dayColor = new THREE.Color(1, 0.98, 0.92);    // Warm sunlight
   const sunsetColor = new THREE.Color(1, 0.7, 0.5);   // Orange sunset
@@ -121,7 +123,7 @@ function updateLighting(lights, sunPosition, dayNightCycle) {
     skyColor.set(0.05, 0.05, 0.2);
   }
   
-  lights.hemi.skyColor.copy(skyColor);
+  lights.hemi.color.copy(skyColor); // HemisphereLight.color is the sky color
   lights.hemi.groundColor.copy(groundColor);
   
   // Update ambient light
@@ -148,4 +150,4 @@ function updateLighting(lights, sunPosition, dayNightCycle) {
   // Update light probe
   const probeIntensity = 0.2 + sunIntensity * 0.8;
   lights.probe.intensity = probeIntensity;
-} 
\ No newline at end of file
+} 
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
 import { PATHS } from '../core/Constants.js';
 
 export class AssetManager {
@@ -57,6 +58,8 @@ export class AssetManager {
         try {
             const model = await this.fbxLoader.loadAsync(PATHS.CHARACTER.MODEL);
             this.assets.set('character', model);
+            // Keep an untouched copy, the local character gets scaled and a weapon attached
+            this.assets.set('characterTemplate', SkeletonUtils.clone(model));
             return model;
         } catch (error) {
             console.error('Error loading character model:', error);
@@ -85,6 +88,37 @@ export class AssetManager {
         return Promise.all(animationPromises);
     }
 
+    // A fresh copy of an item's model (assets/weapons), the loaded file is cached
+    async loadItemModel(item) {
+        const key = `item:${item.model}`;
+        if (!this.assets.has(key)) {
+            try {
+                this.assets.set(key, await this.fbxLoader.loadAsync(PATHS.WEAPONS + item.model));
+            } catch (error) {
+                console.error(`Error loading item model ${item.model}:`, error);
+                throw error;
+            }
+        }
+        return this.assets.get(key).clone();
+    }
+
+    // JSON data files (abilities, spawn tables...), cached by path
+    async loadJSON(path) {
+        if (this.assets.has(path)) {
+            return this.assets.get(path);
+        }
+        try {
+            const loader = new THREE.FileLoader(this.loadingManager);
+            loader.setResponseType('json');
+            const data = await loader.loadAsync(path);
+            this.assets.set(path, data);
+            return data;
+        } catch (error) {
+            console.error(`Error loading data ${path}:`, error);
+            throw error;
+        }
+    }
+
     async loadAllAssets() {
         try {
             await this.loadCharacterModel();
@@ -100,6 +134,15 @@ export class AssetManager {
         }
     }
 
+    // Skinned copy of the character for additional players, shares geometry and materials
+    cloneCharacter() {
+        const template = this.assets.get('characterTemplate');
+        if (!template) {
+            throw new Error('Character model has not been loaded');
+        }
+        return SkeletonUtils.clone(template);
+    }
+
     getAnimation(name) {
         return this.animations.get(name);
     }
@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+import { GRASS, TERRAIN } from '../core/Constants.js';
+import { createRandom } from '../core/Noise.js';
+import { GrassShader } from '../shaders/GrassShader.js';
+
+// Instanced grass blades scattered over the terrain in square patches around
+// the player. Patches out of range are dropped and far ones draw fewer blades.
+export class GrassManager {
+    constructor(scene, terrain) {
+        this.scene = scene;
+        this.terrain = terrain;
+
+        this.patches = new Map();
+        this.grassShader = new GrassShader({
+            bladeHeight: GRASS.BLADE_HEIGHT,
+            bendRadius: GRASS.BEND_RADIUS,
+            bendStrength: GRASS.BEND_STRENGTH
+        });
+        this.bladeGeometry = this.createBladeGeometry();
+    }
+
+    // Tapered blade with a few segments so it can curve, root at the origin
+    createBladeGeometry() {
+        const segments = 4;
+        const positions = [];
+        const uvs = [];
+        const indices = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const halfWidth = (GRASS.BLADE_WIDTH / 2) * (1 - t);
+            const y = t * GRASS.BLADE_HEIGHT;
+            positions.push(-halfWidth, y, 0, halfWidth, y, 0);
+            uvs.push(0, t, 1, t);
+
+            if (i < segments) {
+                const base = i * 2;
+                indices.push(base, base + 1, base + 2, base + 1, base + 3, base + 2);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    static getPatchKey(patchX, patchZ) {
+        return `${patchX},${patchZ}`;
+    }
+
+    update(playerPosition, time, sunPosition) {
+        this.grassShader.updateTime(time);
+        this.grassShader.updatePlayerPosition(playerPosition);
+        if (sunPosition) {
+            this.grassShader.updateSunPosition(sunPosition);
+        }
+
+        this.updatePatches(playerPosition);
+    }
+
+    updatePatches(playerPosition) {
+        const size = GRASS.PATCH_SIZE;
+        const range = Math.ceil(GRASS.VIEW_DISTANCE / size);
+        const centerX = Math.floor(playerPosition.x / size);
+        const centerZ = Math.floor(playerPosition.z / size);
+
+        // Build the nearest missing patches first, a few per frame
+        const missing = [];
+        for (let dz = -range; dz <= range; dz++) {
+            for (let dx = -range; dx <= range; dx++) {
+                const patchX = centerX + dx;
+                const patchZ = centerZ + dz;
+                const distance = this.getPatchDistance(patchX, patchZ, playerPosition);
+                if (distance <= GRASS.VIEW_DISTANCE && !this.patches.has(GrassManager.getPatchKey(patchX, patchZ))) {
+                    missing.push({ patchX, patchZ, distance });
+                }
+            }
+        }
+        missing
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, GRASS.PATCHES_PER_FRAME)
+            .forEach(({ patchX, patchZ }) => this.createPatch(patchX, patchZ));
+
+        // Cull by distance, thin out the far patches
+        this.patches.forEach((patch, key) => {
+            const distance = this.getPatchDistance(patch.patchX, patch.patchZ, playerPosition);
+            if (distance > GRASS.VIEW_DISTANCE + size) {
+                this.removePatch(key);
+                return;
+            }
+
+            const lod = 1 - THREE.MathUtils.smoothstep(distance, GRASS.VIEW_DISTANCE * 0.4, GRASS.VIEW_DISTANCE);
+            patch.mesh.count = Math.round(patch.bladeCount * Math.max(lod, 0.1));
+            patch.mesh.visible = distance <= GRASS.VIEW_DISTANCE;
+        });
+    }
+
+    getPatchDistance(patchX, patchZ, position) {
+        const centerX = (patchX + 0.5) * GRASS.PATCH_SIZE;
+        const centerZ = (patchZ + 0.5) * GRASS.PATCH_SIZE;
+        return Math.hypot(centerX - position.x, centerZ - position.z);
+    }
+
+    createPatch(patchX, patchZ) {
+        // Seeded per patch so a patch looks the same every time it streams back in
+        const random = createRandom(TERRAIN.SEED ^ Math.imul(patchX, 73856093) ^ Math.imul(patchZ, 19349663));
+        const mesh = new THREE.InstancedMesh(this.bladeGeometry, this.grassShader.material, GRASS.BLADES_PER_PATCH);
+        mesh.name = `GrassPatch_${patchX}_${patchZ}`;
+        mesh.receiveShadow = true;
+
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const up = new THREE.Vector3(0, 1, 0);
+        let bladeCount = 0;
+
+        for (let i = 0; i < GRASS.BLADES_PER_PATCH; i++) {
+            const x = (patchX + random()) * GRASS.PATCH_SIZE;
+            const z = (patchZ + random()) * GRASS.PATCH_SIZE;
+            const yaw = random() * Math.PI * 2;
+            const bladeScale = 0.6 + random() * 0.8;
+
+            // No grass on steep slopes
+            if (this.terrain.getNormalAt(x, z).y < GRASS.MIN_GROUND_NORMAL_Y) continue;
+
+            position.set(x, this.terrain.getHeightAt(x, z), z);
+            rotation.setFromAxisAngle(up, yaw);
+            scale.set(1, bladeScale, 1);
+            matrix.compose(position, rotation, scale);
+            mesh.setMatrixAt(bladeCount++, matrix);
+        }
+
+        mesh.count = bladeCount;
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.computeBoundingSphere();
+        this.scene.add(mesh);
+
+        this.patches.set(GrassManager.getPatchKey(patchX, patchZ), { patchX, patchZ, mesh, bladeCount });
+    }
+
+    removePatch(key) {
+        const patch = this.patches.get(key);
+        if (!patch) return;
+
+        this.scene.remove(patch.mesh);
+        patch.mesh.dispose();
+        this.patches.delete(key);
+    }
+
+    dispose() {
+        Array.from(this.patches.keys()).forEach((key) => this.removePatch(key));
+        this.bladeGeometry.dispose();
+        this.grassShader.material.dispose();
+    }
+}
@@ -0,0 +1,319 @@
+import { CONTROLS } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// Button names of the standard gamepad mapping
+const GAMEPAD_BUTTONS = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'Up', 'Down', 'Left', 'Right', 'Home'
+];
+const GAMEPAD_AXES = ['Left Stick X', 'Left Stick Y', 'Right Stick X', 'Right Stick Y'];
+
+// Keys that cancel or clear a binding while rebinding instead of being bound
+const CANCEL_CODE = 'Escape';
+const CLEAR_CODES = ['Backspace', 'Delete'];
+
+const isTypingTarget = (element) =>
+    element && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+
+// Maps physical keys, mouse buttons and gamepad buttons/axes to named actions
+// (CONTROLS.BINDINGS). Controllers ask for action state or listen for
+// action edges instead of reading raw events. Bindings are saved to
+// localStorage and can be changed at runtime, see startRebind.
+//
+// Keyboard input is ignored while typing in a text field, mouse buttons only
+// count when pressed on surface (the game canvas) so clicks on windows and
+// the HUD stay theirs.
+//
+// Events: actionDown, actionUp, bindingsChanged, rebindStart, rebindEnd
+export class InputManager extends EventEmitter {
+    constructor(target = window, surface = null) {
+        super();
+        this.target = target;
+        this.surface = surface;
+        this.bindings = this.loadBindings();
+
+        // Pressed keyboard and mouse codes, analog values of gamepad codes
+        this.pressed = new Set();
+        this.gamepadValues = new Map();
+        this.activeActions = new Set();
+
+        // { action, slot } while waiting for the input to bind
+        this.rebinding = null;
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        this.onKeyDown = (event) => {
+            if (this.rebinding) {
+                event.preventDefault();
+                this.finishRebind(event.code);
+                return;
+            }
+            if (isTypingTarget(event.target)) return;
+
+            // Keep the browser from acting on keys we use, e.g. Tab and Space
+            if (this.getActionsForCode(event.code).length > 0) {
+                event.preventDefault();
+            }
+            this.setPressed(event.code, true);
+        };
+
+        this.onKeyUp = (event) => this.setPressed(event.code, false);
+
+        this.onMouseDown = (event) => {
+            if (this.surface && event.target !== this.surface) return;
+            if (this.rebinding) {
+                this.finishRebind(`Mouse${event.button}`);
+                return;
+            }
+            this.setPressed(`Mouse${event.button}`, true);
+        };
+
+        this.onMouseUp = (event) => this.setPressed(`Mouse${event.button}`, false);
+
+        // Keys released while the window is unfocused never send keyup
+        this.onBlur = () => this.releaseAll();
+
+        this.target.addEventListener('keydown', this.onKeyDown);
+        this.target.addEventListener('keyup', this.onKeyUp);
+        this.target.addEventListener('mousedown', this.onMouseDown);
+        this.target.addEventListener('mouseup', this.onMouseUp);
+        this.target.addEventListener('blur', this.onBlur);
+    }
+
+    loadBindings() {
+        const bindings = InputManager.copyBindings(CONTROLS.BINDINGS);
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONTROLS.STORAGE_KEY) || 'null');
+            if (saved) {
+                // Actions added since the bindings were saved keep their defaults,
+                // minus any code the player has bound to something else
+                const added = Object.keys(bindings).filter((action) => !Array.isArray(saved[action]));
+                Object.keys(bindings).forEach((action) => {
+                    if (!added.includes(action)) {
+                        bindings[action] = InputManager.normalizeSlots(saved[action]);
+                    }
+                });
+                const savedCodes = new Set(Object.keys(bindings)
+                    .filter((action) => !added.includes(action))
+                    .flatMap((action) => bindings[action]));
+                added.forEach((action) => {
+                    bindings[action] = bindings[action].map((code) => (savedCodes.has(code) ? null : code));
+                });
+            }
+        } catch (error) {
+            console.warn('Could not load saved key bindings, using defaults:', error);
+        }
+        return bindings;
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(CONTROLS.STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+
+    static normalizeSlots(slots) {
+        return Array.from({ length: CONTROLS.SLOTS }, (_, slot) => slots[slot] || null);
+    }
+
+    static copyBindings(bindings) {
+        const copy = {};
+        Object.entries(bindings).forEach(([action, slots]) => {
+            copy[action] = InputManager.normalizeSlots(slots);
+        });
+        return copy;
+    }
+
+    // Human readable name of a binding code, e.g. 'KeyW' -> 'W'
+    static formatBinding(code) {
+        if (!code) return '';
+
+        let match = code.match(/^GamepadButton(\d+)$/);
+        if (match) return `Pad ${GAMEPAD_BUTTONS[match[1]] || match[1]}`;
+
+        match = code.match(/^GamepadAxis(\d+)([+-])$/);
+        if (match) return `${GAMEPAD_AXES[match[1]] || `Axis ${match[1]}`} ${match[2]}`;
+
+        match = code.match(/^Mouse(\d+)$/);
+        if (match) return `Mouse ${Number(match[1]) + 1}`;
+
+        match = code.match(/^(?:Key|Digit)(.+)$/);
+        if (match) return match[1];
+
+        return code.replace(/^Numpad/, 'Num ').replace(/(Left|Right)$/, '').replace(/^Arrow/, '');
+    }
+
+    getBindings(action) {
+        return this.bindings[action] || [];
+    }
+
+    // Label of the first binding, for keybind hints in the UI
+    getBindingLabel(action) {
+        const code = this.getBindings(action).find((binding) => binding);
+        return InputManager.formatBinding(code);
+    }
+
+    getActionsForCode(code) {
+        return Object.keys(this.bindings).filter((action) => this.bindings[action].includes(code));
+    }
+
+    // A code can only trigger one action, binding it takes it away from the others
+    setBinding(action, slot, code) {
+        if (!this.bindings[action]) return;
+
+        if (code) {
+            Object.values(this.bindings).forEach((slots) => {
+                const index = slots.indexOf(code);
+                if (index !== -1) slots[index] = null;
+            });
+        }
+        this.bindings[action][slot] = code;
+        this.saveBindings();
+        this.releaseAll();
+        this.emit('bindingsChanged', this.bindings);
+    }
+
+    clearBinding(action, slot) {
+        this.setBinding(action, slot, null);
+    }
+
+    resetBindings() {
+        this.bindings = InputManager.copyBindings(CONTROLS.BINDINGS);
+        this.saveBindings();
+        this.releaseAll();
+        this.emit('bindingsChanged', this.bindings);
+    }
+
+    // The next key, mouse button or gamepad input is bound to action's slot.
+    // Escape cancels, Backspace/Delete clear the slot.
+    startRebind(action, slot) {
+        this.rebinding = { action, slot };
+        this.emit('rebindStart', { action, slot });
+    }
+
+    cancelRebind() {
+        if (!this.rebinding) return;
+
+        const { action, slot } = this.rebinding;
+        this.rebinding = null;
+        this.emit('rebindEnd', { action, slot, code: null, cancelled: true });
+    }
+
+    finishRebind(code) {
+        const { action, slot } = this.rebinding;
+        if (code === CANCEL_CODE) {
+            this.cancelRebind();
+            return;
+        }
+
+        this.rebinding = null;
+        const binding = CLEAR_CODES.includes(code) ? null : code;
+        this.setBinding(action, slot, binding);
+        this.emit('rebindEnd', { action, slot, code: binding, cancelled: false });
+    }
+
+    isRebinding() {
+        return this.rebinding !== null;
+    }
+
+    setPressed(code, pressed) {
+        if (pressed) {
+            this.pressed.add(code);
+        } else {
+            this.pressed.delete(code);
+        }
+        this.refreshActions();
+    }
+
+    releaseAll() {
+        this.pressed.clear();
+        this.gamepadValues.clear();
+        this.refreshActions();
+    }
+
+    // 0..1, analog for gamepad axes and triggers
+    getCodeValue(code) {
+        if (this.pressed.has(code)) return 1;
+        return this.gamepadValues.get(code) || 0;
+    }
+
+    getActionValue(action) {
+        return this.getBindings(action).reduce(
+            (value, code) => (code ? Math.max(value, this.getCodeValue(code)) : value),
+            0
+        );
+    }
+
+    isActionActive(action) {
+        return this.activeActions.has(action);
+    }
+
+    // Recompute which actions are held and emit the edges
+    refreshActions() {
+        Object.keys(this.bindings).forEach((action) => {
+            const active = this.getActionValue(action) > 0;
+            if (active && !this.activeActions.has(action)) {
+                this.activeActions.add(action);
+                this.emit('actionDown', action);
+            } else if (!active && this.activeActions.has(action)) {
+                this.activeActions.delete(action);
+                this.emit('actionUp', action);
+            }
+        });
+    }
+
+    // Gamepads have no events for button or stick changes, poll once per frame
+    update() {
+        const gamepad = Array.from(navigator.getGamepads ? navigator.getGamepads() : [])
+            .find((pad) => pad && pad.connected);
+        if (!gamepad) {
+            if (this.gamepadValues.size > 0) {
+                this.gamepadValues.clear();
+                this.refreshActions();
+            }
+            return;
+        }
+
+        const previous = new Map(this.gamepadValues);
+        this.gamepadValues.clear();
+
+        gamepad.buttons.forEach((button, index) => {
+            if (button.pressed || button.value > CONTROLS.GAMEPAD_DEADZONE) {
+                this.gamepadValues.set(`GamepadButton${index}`, button.value || 1);
+            }
+        });
+
+        // Rescale past the deadzone so values still start at 0
+        gamepad.axes.forEach((value, index) => {
+            const magnitude = Math.abs(value);
+            if (magnitude <= CONTROLS.GAMEPAD_DEADZONE) return;
+
+            const scaled = (magnitude - CONTROLS.GAMEPAD_DEADZONE) / (1 - CONTROLS.GAMEPAD_DEADZONE);
+            this.gamepadValues.set(`GamepadAxis${index}${value > 0 ? '+' : '-'}`, scaled);
+        });
+
+        if (this.rebinding) {
+            // Bind the first input that was not already held when rebinding started
+            const code = Array.from(this.gamepadValues.keys()).find((candidate) => !previous.has(candidate));
+            if (code) {
+                this.finishRebind(code);
+            }
+            return;
+        }
+
+        this.refreshActions();
+    }
+
+    dispose() {
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target.removeEventListener('keyup', this.onKeyUp);
+        this.target.removeEventListener('mousedown', this.onMouseDown);
+        this.target.removeEventListener('mouseup', this.onMouseUp);
+        this.target.removeEventListener('blur', this.onBlur);
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+import { MATERIAL_PRESETS } from '../core/Constants.js';
+import { FurShader } from '../shaders/FurShader.js';
+import { MetalShader } from '../shaders/MetalShader.js';
+
+// Built-in presets. Each factory takes the material it replaces plus the rule
+// options and returns { material, shader }, where shader (if any) gets time
+// and sun updates from the main loop.
+const PRESET_FACTORIES = {
+    fur: (original, options) => {
+        const shader = new FurShader({
+            color: original.color ? original.color.clone() : undefined,
+            map: original.map || null,
+            ...options
+        });
+        return { material: shader.material, shader };
+    },
+
+    metal: (original, options) => {
+        const shader = new MetalShader({
+            color: original.color ? original.color.clone() : undefined,
+            map: original.map || null,
+            ...options
+        });
+        return { material: shader.material, shader };
+    },
+
+    standard: (original, options) => {
+        const material = new THREE.MeshStandardMaterial({
+            name: original.name,
+            color: original.color ? original.color.clone() : 0xffffff,
+            map: original.map || null,
+            normalMap: original.normalMap || null,
+            transparent: original.transparent,
+            opacity: original.opacity,
+            ...options
+        });
+        return { material, shader: null };
+    }
+};
+
+// Swaps the materials of loaded FBX assets for shader presets. Rules come from
+// MATERIAL_PRESETS and match on mesh name, material name and material slot.
+export class MaterialManager {
+    constructor(rules = MATERIAL_PRESETS) {
+        this.rules = rules;
+        this.factories = new Map(Object.entries(PRESET_FACTORIES));
+
+        // Preset materials are shared between clones of the same asset
+        this.cache = new Map();
+        this.shaders = new Set();
+    }
+
+    registerPreset(name, factory) {
+        this.factories.set(name, factory);
+    }
+
+    // A rule matches when every criterion it specifies matches
+    static matchesRule(rule, mesh, material, slot) {
+        if (rule.mesh && !new RegExp(rule.mesh, 'i').test(mesh.name)) return false;
+        if (rule.material && !new RegExp(rule.material, 'i').test(material.name)) return false;
+        if (rule.slot !== undefined && rule.slot !== slot) return false;
+        return true;
+    }
+
+    // Replace the materials of every mesh under object using the rules for assetName
+    applyPresets(object, assetName) {
+        const rules = this.rules[assetName];
+        if (!rules) {
+            console.warn(`No material presets for asset: ${assetName}`);
+            return;
+        }
+
+        object.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+
+            if (Array.isArray(child.material)) {
+                child.material = child.material.map((material, slot) =>
+                    this.getPresetMaterial(rules, child, material, slot)
+                );
+            } else {
+                child.material = this.getPresetMaterial(rules, child, child.material, 0);
+            }
+        });
+    }
+
+    getPresetMaterial(rules, mesh, original, slot) {
+        const rule = rules.find((candidate) => MaterialManager.matchesRule(candidate, mesh, original, slot));
+        if (!rule) return original;
+
+        const cacheKey = `${original.uuid}:${rules.indexOf(rule)}`;
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        const factory = this.factories.get(rule.preset);
+        if (!factory) {
+            console.warn(`Unknown material preset: ${rule.preset}`);
+            return original;
+        }
+
+        const { material, shader } = factory(original, rule.options || {});
+        material.name = original.name;
+        if (shader) {
+            this.shaders.add(shader);
+        }
+        this.cache.set(cacheKey, material);
+        return material;
+    }
+
+    update(time, sunPosition) {
+        this.shaders.forEach((shader) => {
+            shader.updateTime(time);
+            shader.updateSunPosition(sunPosition);
+        });
+    }
+
+    dispose() {
+        this.cache.forEach((material) => material.dispose());
+        this.cache.clear();
+        this.shaders.clear();
+    }
+}
@@ -0,0 +1,142 @@
+import { CHARACTER, MOBS, PHYSICS } from '../core/Constants.js';
+import { createRandom } from '../core/Noise.js';
+import { MobController } from '../controllers/MobController.js';
+
+// Spawns the mobs listed in a spawn table (assets/data/spawns.json), keeps
+// them updated and brings dead ones back after their respawn time.
+//
+// The table is { mobs: { [templateId]: template }, spawns: [entry] } where an
+// entry is { mob, position: { x, z }, patrol?, count?, radius?, respawnTime? }.
+// count spreads that many copies within radius of the position.
+export class MobManager {
+    constructor(scene, terrain, combatSystem) {
+        this.scene = scene;
+        this.terrain = terrain;
+        this.combatSystem = combatSystem;
+
+        this.mobs = new Map();
+        this.respawnTimers = new Map();
+        this.nextMobId = 1;
+    }
+
+    // Fill in MOBS defaults, hit size follows the model scale
+    static createTemplate(id, template) {
+        const scale = template.scale || MOBS.SCALE;
+        const sizeRatio = scale / CHARACTER.SCALE;
+
+        return {
+            id,
+            name: id,
+            level: 1,
+            health: 100,
+            damage: 10,
+            armor: 0,
+            critChance: 0,
+            faction: MOBS.FACTION,
+            scale,
+            aggroRadius: MOBS.AGGRO_RADIUS,
+            leashRadius: MOBS.LEASH_RADIUS,
+            attackRange: MOBS.ATTACK_RANGE * sizeRatio,
+            attackInterval: MOBS.ATTACK_INTERVAL,
+            walkSpeed: MOBS.WALK_SPEED,
+            runSpeed: MOBS.RUN_SPEED,
+            rotationSpeed: MOBS.ROTATION_SPEED,
+            hitRadius: PHYSICS.CAPSULE_RADIUS * sizeRatio,
+            hitHeight: PHYSICS.CAPSULE_HEIGHT * sizeRatio,
+            respawnTime: MOBS.RESPAWN_TIME,
+            // [{ item, chance, min, max }] rolled into the corpse on death
+            loot: [],
+            // Friendly NPCs with quests, marked on the maps
+            questGiver: false,
+            ...template
+        };
+    }
+
+    // createModel returns a fresh rig for each mob, animations are the shared clips
+    populate(spawnTable, { createModel, animations }) {
+        const templates = new Map();
+        Object.entries(spawnTable.mobs).forEach(([id, template]) => {
+            templates.set(id, MobManager.createTemplate(id, template));
+        });
+
+        spawnTable.spawns.forEach((entry, index) => {
+            const template = templates.get(entry.mob);
+            if (!template) {
+                console.warn(`Spawn table: unknown mob ${entry.mob}`);
+                return;
+            }
+
+            // Seeded so a pack is laid out the same way every load
+            const random = createRandom(index + 1);
+            const count = entry.count || 1;
+            for (let i = 0; i < count; i++) {
+                let position = entry.position;
+                if (count > 1) {
+                    const angle = random() * Math.PI * 2;
+                    const distance = Math.sqrt(random()) * (entry.radius || 0);
+                    position = {
+                        x: entry.position.x + Math.cos(angle) * distance,
+                        z: entry.position.z + Math.sin(angle) * distance
+                    };
+                }
+
+                this.spawnMob(template, { ...entry, position }, createModel(), animations);
+            }
+        });
+
+        console.log(`[MobManager][populate] Spawned ${this.mobs.size} mobs`);
+    }
+
+    spawnMob(template, spawn, model, animations) {
+        const mob = new MobController(this.nextMobId++, model, animations, this.scene, {
+            template,
+            spawn,
+            terrain: this.terrain,
+            combat: this.combatSystem
+        });
+
+        mob.on('death', () => {
+            this.respawnTimers.set(mob, spawn.respawnTime ?? template.respawnTime);
+        });
+
+        this.mobs.set(mob.id, mob);
+        this.combatSystem.register(mob);
+        return mob;
+    }
+
+    getMob(id) {
+        return this.mobs.get(id);
+    }
+
+    getMobs() {
+        return Array.from(this.mobs.values());
+    }
+
+    update(deltaTime) {
+        this.mobs.forEach((mob) => mob.update(deltaTime));
+
+        // Corpses stay where they fell until their respawn time is up
+        this.respawnTimers.forEach((remaining, mob) => {
+            if (remaining > deltaTime) {
+                this.respawnTimers.set(mob, remaining - deltaTime);
+                return;
+            }
+            this.respawnTimers.delete(mob);
+            mob.respawn();
+        });
+    }
+
+    removeMob(id) {
+        const mob = this.mobs.get(id);
+        if (!mob) return;
+
+        this.combatSystem.unregister(mob);
+        this.respawnTimers.delete(mob);
+        mob.dispose();
+        this.mobs.delete(id);
+    }
+
+    dispose() {
+        Array.from(this.mobs.keys()).forEach((id) => this.removeMob(id));
+    }
+}
@@ -0,0 +1,112 @@
+import { NETWORK } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+import { MESSAGE, encodeMessage, decodeMessage } from '../core/Protocol.js';
+
+// WebSocket connection to the game server. Emits one event per message type
+// (see MESSAGE) plus 'disconnected'.
+export class NetworkManager extends EventEmitter {
+    constructor(url = NetworkManager.getDefaultUrl()) {
+        super();
+        this.url = url;
+        this.socket = null;
+        this.playerId = null;
+        this.connected = false;
+    }
+
+    static getDefaultUrl() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const hostname = window.location.hostname || 'localhost';
+        return `${protocol}//${hostname}:${NETWORK.SERVER_PORT}`;
+    }
+
+    // Resolves once the server has assigned us a player id
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+
+            const timeout = setTimeout(() => {
+                socket.close();
+                reject(new Error(`Connection to ${this.url} timed out`));
+            }, NETWORK.CONNECT_TIMEOUT);
+
+            socket.addEventListener('message', (event) => {
+                const message = decodeMessage(event.data);
+                if (!message) return;
+
+                if (message.type === MESSAGE.WELCOME) {
+                    clearTimeout(timeout);
+                    this.playerId = message.id;
+                    this.connected = true;
+                    resolve(message);
+                }
+
+                this.emit(message.type, message);
+            });
+
+            socket.addEventListener('error', () => {
+                if (!this.connected) {
+                    clearTimeout(timeout);
+                    reject(new Error(`Could not connect to ${this.url}`));
+                }
+            });
+
+            socket.addEventListener('close', () => {
+                const wasConnected = this.connected;
+                this.connected = false;
+                this.socket = null;
+                if (wasConnected) {
+                    this.emit('disconnected');
+                }
+            });
+        });
+    }
+
+    send(type, payload) {
+        if (!this.connected || this.socket.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        this.socket.send(encodeMessage(type, payload));
+        return true;
+    }
+
+    sendInput(input) {
+        return this.send(MESSAGE.INPUT, input);
+    }
+
+    // One-shot animation (attack, block, jump...) for other clients to see
+    sendAction(animation) {
+        return this.send(MESSAGE.ACTION, { animation });
+    }
+
+    // We died and the respawn timer ran out, the server moves us to a graveyard
+    sendRespawn() {
+        return this.send(MESSAGE.RESPAWN);
+    }
+
+    // Our health, resources and auras for other clients' party frames
+    sendStatus(status) {
+        return this.send(MESSAGE.STATUS, { status });
+    }
+
+    // target is the recipient's name for whispers
+    sendChat(channel, text, target = null) {
+        return this.send(MESSAGE.CHAT, { channel, text, target });
+    }
+
+    // Chat commands the server answers, e.g. who and roll
+    sendChatCommand(command, args = '') {
+        return this.send(MESSAGE.CHAT_COMMAND, { command, args });
+    }
+
+    disconnect() {
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    dispose() {
+        this.disconnect();
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { PHYSICS } from '../core/Constants.js';
+
+// Collision groups, static geometry never collides with itself
+export const COLLISION_GROUPS = {
+    STATIC: 1,
+    CHARACTER: 2
+};
+
+export class PhysicsManager {
+    constructor() {
+        this.world = new CANNON.World({
+            gravity: new CANNON.Vec3(0, PHYSICS.GRAVITY, 0)
+        });
+        this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+        this.world.allowSleep = false;
+
+        this.setupMaterials();
+    }
+
+    setupMaterials() {
+        this.staticMaterial = new CANNON.Material('static');
+        this.characterMaterial = new CANNON.Material('character');
+
+        // Characters are driven by velocity, friction would only make them stick to walls
+        this.world.addContactMaterial(new CANNON.ContactMaterial(
+            this.staticMaterial,
+            this.characterMaterial,
+            { friction: 0, restitution: 0 }
+        ));
+    }
+
+    // Advance the world in fixed steps, catching up on at most MAX_SUB_STEPS per frame
+    update(deltaTime) {
+        this.world.step(PHYSICS.FIXED_TIME_STEP, deltaTime, PHYSICS.MAX_SUB_STEPS);
+    }
+
+    // Upright capsule (cylinder capped by two spheres) that never tips over.
+    // The body origin is the capsule center, `position` is where the feet go.
+    createCharacterBody(position) {
+        const radius = PHYSICS.CAPSULE_RADIUS;
+        const height = PHYSICS.CAPSULE_HEIGHT;
+        const cylinderHeight = height - radius * 2;
+
+        const body = new CANNON.Body({
+            mass: PHYSICS.CHARACTER_MASS,
+            material: this.characterMaterial,
+            fixedRotation: true,
+            linearDamping: 0,
+            collisionFilterGroup: COLLISION_GROUPS.CHARACTER,
+            collisionFilterMask: COLLISION_GROUPS.STATIC
+        });
+
+        body.addShape(new CANNON.Cylinder(radius, radius, cylinderHeight, 8));
+        body.addShape(new CANNON.Sphere(radius), new CANNON.Vec3(0, cylinderHeight / 2, 0));
+        body.addShape(new CANNON.Sphere(radius), new CANNON.Vec3(0, -cylinderHeight / 2, 0));
+
+        body.position.set(position.x, position.y + height / 2, position.z);
+        this.world.addBody(body);
+        return body;
+    }
+
+    // Distance from a character body's origin down to its feet
+    getCharacterFootOffset() {
+        return PHYSICS.CAPSULE_HEIGHT / 2;
+    }
+
+    // Cast a short ray below the capsule, true when standing on static geometry
+    isCharacterGrounded(body) {
+        const from = body.position;
+        const to = new CANNON.Vec3(
+            from.x,
+            from.y - this.getCharacterFootOffset() - PHYSICS.GROUND_CHECK_DISTANCE,
+            from.z
+        );
+
+        const result = new CANNON.RaycastResult();
+        this.world.raycastClosest(from, to, {
+            collisionFilterMask: COLLISION_GROUPS.STATIC,
+            skipBackfaces: true
+        }, result);
+
+        return result.hasHit;
+    }
+
+    // Distance along the segment to the first static surface, null if nothing is hit
+    raycastStatic(from, to) {
+        const result = new CANNON.RaycastResult();
+        this.world.raycastClosest(
+            new CANNON.Vec3(from.x, from.y, from.z),
+            new CANNON.Vec3(to.x, to.y, to.z),
+            { collisionFilterMask: COLLISION_GROUPS.STATIC, skipBackfaces: true },
+            result
+        );
+
+        return result.hasHit ? result.distance : null;
+    }
+
+    addStaticBody(shape, position, quaternion) {
+        const body = new CANNON.Body({
+            mass: 0,
+            type: CANNON.Body.STATIC,
+            material: this.staticMaterial,
+            collisionFilterGroup: COLLISION_GROUPS.STATIC,
+            collisionFilterMask: COLLISION_GROUPS.CHARACTER
+        });
+        body.addShape(shape);
+
+        if (position) {
+            body.position.set(position.x, position.y, position.z);
+        }
+        if (quaternion) {
+            body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+        }
+
+        this.world.addBody(body);
+        return body;
+    }
+
+    // Infinite ground plane at the given height
+    addGroundPlane(height = 0) {
+        const rotation = new CANNON.Quaternion();
+        rotation.setFromEuler(-Math.PI / 2, 0, 0);
+        return this.addStaticBody(new CANNON.Plane(), { x: 0, y: height, z: 0 }, rotation);
+    }
+
+    addStaticBox(size, position, quaternion) {
+        const halfExtents = new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2);
+        return this.addStaticBody(new CANNON.Box(halfExtents), position, quaternion);
+    }
+
+    // Box collider around a prop's world-space bounds
+    addStaticMesh(object) {
+        const bounds = new THREE.Box3().setFromObject(object);
+        const size = bounds.getSize(new THREE.Vector3());
+        const center = bounds.getCenter(new THREE.Vector3());
+        return this.addStaticBox(size, center);
+    }
+
+    // Terrain heightfield, heights[i][j] runs along local x (i) and local y (j).
+    // Rotated onto the ground plane local y points to world -z.
+    addHeightfield(heights, elementSize, position) {
+        const rotation = new CANNON.Quaternion();
+        rotation.setFromEuler(-Math.PI / 2, 0, 0);
+        const shape = new CANNON.Heightfield(heights, { elementSize });
+        return this.addStaticBody(shape, position, rotation);
+    }
+
+    removeBody(body) {
+        this.world.removeBody(body);
+    }
+
+    dispose() {
+        [...this.world.bodies].forEach((body) => this.world.removeBody(body));
+    }
+}
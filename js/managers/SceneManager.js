@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { CAMERA } from '../core/Constants.js';
+import { setupLighting } from '../lighting.js';
+import { findHeadBone } from '../ui/WorldAnchor.js';
 
 export class SceneManager {
     constructor() {
@@ -24,14 +26,10 @@ export class SceneManager {
         document.body.appendChild(this.renderer.domElement);
     }
 
+    // Sun, ambient, hemisphere, rim and fill lights, animated by WorldTime
     setupLights() {
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-        this.scene.add(ambientLight);
-
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-        directionalLight.position.set(5, 5, 5);
-        directionalLight.castShadow = true;
-        this.scene.add(directionalLight);
+        this.lights = setupLighting(this.scene);
+        this.sunLight = this.lights.sun;
     }
 
     setupEventListeners() {
@@ -48,6 +46,44 @@ export class SceneManager {
         this.renderer.render(this.scene, this.camera);
     }
 
+    // Render a close-up of a character's head into a square image for unit
+    // frames, returns a data URL or null if the model has no head bone
+    renderPortrait(model, size) {
+        const head = findHeadBone(model);
+        if (!head) return null;
+
+        model.updateMatrixWorld(true);
+        const headPosition = head.getWorldPosition(new THREE.Vector3());
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(model.getWorldQuaternion(new THREE.Quaternion()));
+        const distance = model.scale.y * 0.5;
+
+        const camera = new THREE.PerspectiveCamera(35, 1, CAMERA.NEAR, CAMERA.FAR);
+        camera.position.copy(headPosition).addScaledVector(forward, distance);
+        camera.lookAt(headPosition);
+
+        const target = new THREE.WebGLRenderTarget(size, size, { colorSpace: THREE.SRGBColorSpace });
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, camera);
+        this.renderer.setRenderTarget(null);
+
+        const pixels = new Uint8Array(size * size * 4);
+        this.renderer.readRenderTargetPixels(target, 0, 0, size, size, pixels);
+        target.dispose();
+
+        // WebGL rows run bottom to top
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(size, size);
+        const rowLength = size * 4;
+        for (let row = 0; row < size; row++) {
+            image.data.set(pixels.subarray(row * rowLength, (row + 1) * rowLength), (size - row - 1) * rowLength);
+        }
+        context.putImageData(image, 0, 0);
+        return canvas.toDataURL();
+    }
+
     add(object) {
         this.scene.add(object);
     }
@@ -0,0 +1,250 @@
+import * as THREE from 'three';
+import { TERRAIN } from '../core/Constants.js';
+import { Heightmap } from '../core/Heightmap.js';
+
+const GRASS_COLOR = new THREE.Color(0x3f7a2c);
+const DIRT_COLOR = new THREE.Color(0x7a5f3a);
+const ROCK_COLOR = new THREE.Color(0x77736b);
+
+// Streams heightmapped terrain chunks in and out around the player. Each chunk
+// is a mesh plus a static heightfield collider when physics is available.
+export class TerrainManager {
+    constructor(scene, physics = null, heightmap = new Heightmap()) {
+        this.scene = scene;
+        this.physics = physics;
+        this.heightmap = heightmap;
+
+        this.chunkSize = TERRAIN.CHUNK_SIZE;
+        this.resolution = TERRAIN.CHUNK_RESOLUTION;
+        this.cellSize = this.chunkSize / this.resolution;
+
+        this.chunks = new Map();
+        this.buildQueue = [];
+
+        // Shared by every chunk
+        this.material = new THREE.MeshStandardMaterial({
+            vertexColors: true,
+            roughness: 0.95,
+            metalness: 0
+        });
+    }
+
+    static getChunkKey(chunkX, chunkZ) {
+        return `${chunkX},${chunkZ}`;
+    }
+
+    getChunkCoords(x, z) {
+        return {
+            chunkX: Math.floor(x / this.chunkSize),
+            chunkZ: Math.floor(z / this.chunkSize)
+        };
+    }
+
+    getHeightAt(x, z) {
+        return this.heightmap.getHeightAt(x, z);
+    }
+
+    getNormalAt(x, z) {
+        const { x: nx, y: ny, z: nz } = this.heightmap.getNormalAt(x, z);
+        return new THREE.Vector3(nx, ny, nz);
+    }
+
+    // Build every chunk in view right away, used before spawning
+    loadAround(position) {
+        this.update(position, Infinity);
+    }
+
+    // Queue chunks entering the view distance, build a few per call and drop
+    // the ones that moved out of range
+    update(position, maxBuilds = TERRAIN.CHUNKS_PER_FRAME) {
+        const { chunkX, chunkZ } = this.getChunkCoords(position.x, position.z);
+        const viewDistance = TERRAIN.VIEW_DISTANCE;
+
+        const wanted = [];
+        for (let dz = -viewDistance; dz <= viewDistance; dz++) {
+            for (let dx = -viewDistance; dx <= viewDistance; dx++) {
+                const key = TerrainManager.getChunkKey(chunkX + dx, chunkZ + dz);
+                if (!this.chunks.has(key)) {
+                    wanted.push({ chunkX: chunkX + dx, chunkZ: chunkZ + dz, distance: Math.hypot(dx, dz) });
+                }
+            }
+        }
+
+        // Closest chunks first
+        this.buildQueue = wanted.sort((a, b) => a.distance - b.distance);
+        let built = 0;
+        while (this.buildQueue.length > 0 && built < maxBuilds) {
+            const { chunkX: x, chunkZ: z } = this.buildQueue.shift();
+            this.loadChunk(x, z);
+            built++;
+        }
+
+        // Keep one extra ring loaded so walking along a border doesn't thrash
+        this.chunks.forEach((chunk, key) => {
+            const distance = Math.max(Math.abs(chunk.chunkX - chunkX), Math.abs(chunk.chunkZ - chunkZ));
+            if (distance > viewDistance + 1) {
+                this.unloadChunk(key);
+            }
+        });
+    }
+
+    loadChunk(chunkX, chunkZ) {
+        const originX = chunkX * this.chunkSize;
+        const originZ = chunkZ * this.chunkSize;
+
+        const mesh = new THREE.Mesh(this.createChunkGeometry(originX, originZ), this.material);
+        mesh.position.set(originX, 0, originZ);
+        mesh.receiveShadow = true;
+        mesh.name = `TerrainChunk_${chunkX}_${chunkZ}`;
+        this.scene.add(mesh);
+
+        const body = this.physics ? this.createChunkCollider(originX, originZ) : null;
+
+        this.chunks.set(TerrainManager.getChunkKey(chunkX, chunkZ), { chunkX, chunkZ, mesh, body });
+    }
+
+    unloadChunk(key) {
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+
+        this.scene.remove(chunk.mesh);
+        chunk.mesh.geometry.dispose();
+        if (chunk.body) {
+            this.physics.removeBody(chunk.body);
+        }
+        this.chunks.delete(key);
+    }
+
+    createChunkGeometry(originX, originZ) {
+        const vertexCount = this.resolution + 1;
+        const positions = new Float32Array(vertexCount * vertexCount * 3);
+        const normals = new Float32Array(vertexCount * vertexCount * 3);
+        const colors = new Float32Array(vertexCount * vertexCount * 3);
+        const uvs = new Float32Array(vertexCount * vertexCount * 2);
+        const color = new THREE.Color();
+
+        for (let row = 0; row < vertexCount; row++) {
+            for (let column = 0; column < vertexCount; column++) {
+                const index = row * vertexCount + column;
+                const localX = column * this.cellSize;
+                const localZ = row * this.cellSize;
+                const worldX = originX + localX;
+                const worldZ = originZ + localZ;
+
+                const height = this.heightmap.sampleHeight(worldX, worldZ);
+                positions.set([localX, height, localZ], index * 3);
+
+                // Normals come from the heightmap so neighbouring chunks shade seamlessly
+                const normal = this.heightmap.getNormalAt(worldX, worldZ);
+                normals.set([normal.x, normal.y, normal.z], index * 3);
+
+                this.getTerrainColor(height, normal.y, color);
+                colors.set([color.r, color.g, color.b], index * 3);
+
+                uvs.set([column / this.resolution, row / this.resolution], index * 2);
+            }
+        }
+
+        const indices = [];
+        for (let row = 0; row < this.resolution; row++) {
+            for (let column = 0; column < this.resolution; column++) {
+                const a = row * vertexCount + column;
+                const b = a + 1;
+                const c = a + vertexCount;
+                const d = c + 1;
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+
+    // Grass on flat ground, dirt on slopes, rock on steep slopes and peaks
+    getTerrainColor(height, upness, target) {
+        const slope = 1 - upness;
+        target.copy(GRASS_COLOR).lerp(DIRT_COLOR, THREE.MathUtils.smoothstep(slope, 0.05, 0.2));
+        target.lerp(ROCK_COLOR, THREE.MathUtils.smoothstep(slope, 0.2, 0.4));
+        target.lerp(ROCK_COLOR, THREE.MathUtils.smoothstep(height, TERRAIN.HEIGHT_SCALE * 0.6, TERRAIN.HEIGHT_SCALE));
+        return target;
+    }
+
+    // Top-down RGBA pixels of a square of the world for the maps, rows running
+    // along +z. Colored like the meshes and hillshaded from light, a unit
+    // direction towards the light.
+    bakeMapColors({ minX, minZ, size, resolution, light }) {
+        const step = size / resolution;
+        const pixels = new Uint8ClampedArray(resolution * resolution * 4);
+        const color = new THREE.Color();
+
+        // Heights of the pixel centres with a one pixel border for the normals
+        const span = resolution + 2;
+        const heights = new Float32Array(span * span);
+        for (let row = 0; row < span; row++) {
+            for (let column = 0; column < span; column++) {
+                heights[row * span + column] = this.heightmap.sampleHeight(
+                    minX + (column - 0.5) * step,
+                    minZ + (row - 0.5) * step
+                );
+            }
+        }
+
+        for (let row = 0; row < resolution; row++) {
+            for (let column = 0; column < resolution; column++) {
+                const center = (row + 1) * span + column + 1;
+                const dx = heights[center + 1] - heights[center - 1];
+                const dz = heights[center + span] - heights[center - span];
+                const length = Math.hypot(dx, step * 2, dz);
+                const nx = -dx / length;
+                const ny = (step * 2) / length;
+                const nz = -dz / length;
+
+                // Vertex colors are linear, the canvas wants sRGB
+                this.getTerrainColor(heights[center], ny, color).convertLinearToSRGB();
+                const shade = 0.55 + 0.6 * Math.max(0, nx * light.x + ny * light.y + nz * light.z);
+
+                const index = (row * resolution + column) * 4;
+                pixels[index] = color.r * shade * 255;
+                pixels[index + 1] = color.g * shade * 255;
+                pixels[index + 2] = color.b * shade * 255;
+                pixels[index + 3] = 255;
+            }
+        }
+        return pixels;
+    }
+
+    // Cannon heightfields lie in their local XY plane; rotated onto the ground
+    // local +y points to world -z, so rows are filled from the far edge back
+    createChunkCollider(originX, originZ) {
+        const vertexCount = this.resolution + 1;
+        const data = [];
+
+        for (let i = 0; i < vertexCount; i++) {
+            const column = [];
+            for (let j = 0; j < vertexCount; j++) {
+                column.push(this.heightmap.sampleHeight(
+                    originX + i * this.cellSize,
+                    originZ + this.chunkSize - j * this.cellSize
+                ));
+            }
+            data.push(column);
+        }
+
+        return this.physics.addHeightfield(data, this.cellSize, {
+            x: originX,
+            y: 0,
+            z: originZ + this.chunkSize
+        });
+    }
+
+    dispose() {
+        Array.from(this.chunks.keys()).forEach((key) => this.unloadChunk(key));
+        this.material.dispose();
+    }
+}
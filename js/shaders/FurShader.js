@@ -1,8 +1,13 @@
-// Fur shader for realistic fur without image textures
-class FurShader {
+import * as THREE from 'three';
+
+// Fur shader for realistic fur without image textures.
+// Supports skinned meshes and tints an optional diffuse map from the original material.
+export class FurShader {
   constructor(options = {}) {
     this.uniforms = {
       color: { value: options.color || new THREE.Color(0.8, 0.6, 0.2) },
+      diffuseMap: { value: options.map || null },
+      hasDiffuseMap: { value: options.map ? 1.0 : 0.0 },
       time: { value: options.time || 0 },
       sunPosition: { value: options.sunPosition || new THREE.Vector3(0, 1, 0) },
       windDirection: { value: options.windDirection || new THREE.Vector2(1, 0) },
@@ -12,6 +17,9 @@ class FurShader {
 
     // Define shader code
     const vertexShader = `
+      #include <common>
+      #include <skinning_pars_vertex>
+      
       uniform float time;
       uniform vec2 windDirection;
       uniform float windStrength;
@@ -29,17 +37,25 @@ class FurShader {
       
       void main() {
         vUv = uv;
-        vNormal = normalize(normalMatrix * normal);
+        
+        // Skin the normal and position like the built-in materials do
+        #include <beginnormal_vertex>
+        #include <skinbase_vertex>
+        #include <skinnormal_vertex>
+        vNormal = normalize(normalMatrix * objectNormal);
+        
+        #include <begin_vertex>
+        #include <skinning_vertex>
         
         // Calculate world position
-        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vec4 worldPosition = modelMatrix * vec4(transformed, 1.0);
         vWorldPosition = worldPosition.xyz;
         
         // Calculate fur offset direction (along normal)
-        vec3 furDirection = normal * furDepth;
+        vec3 furDirection = objectNormal * furDepth;
         
         // Apply wind effect
-        float windEffect = noise(position.xz * 0.1 + time * 0.1);
+        float windEffect = noise(transformed.xz * 0.1 + time * 0.1);
         
         // Apply swaying motion
         vec3 windOffset = vec3(
@@ -49,7 +65,7 @@ class FurShader {
         );
         
         // Apply fur offset and wind
-        vec3 displacedPosition = position + furDirection + windOffset;
+        vec3 displacedPosition = transformed + furDirection + windOffset;
         
         // Transform position
         vec4 mvPosition = modelViewMatrix * vec4(displacedPosition, 1.0);
@@ -61,6 +77,8 @@ class FurShader {
 
     const fragmentShader = `
       uniform vec3 color;
+      uniform sampler2D diffuseMap;
+      uniform float hasDiffuseMap;
       uniform float time;
       uniform vec3 sunPosition;
       
@@ -116,8 +134,11 @@ class FurShader {
         // Calculate light direction from sun
         vec3 lightDir = normalize(sunPosition);
         
-        // Base fur color
+        // Base fur color, tinted by the original texture when there is one
         vec3 furColor = color;
+        if (hasDiffuseMap > 0.5) {
+          furColor *= texture2D(diffuseMap, vUv).rgb;
+        }
         
         // Create fur strand pattern
         float strandPattern = fbm(vUv * 20.0);
@@ -190,7 +211,7 @@ class FurShader {
   static applyToObject(object, color) {
     object.traverse((child) => {
       if (child instanceof THREE.Mesh) {
-        child.material = FurShader.getFurMaterial(color);
+        child.material = new FurShader({ color: color }).material;
       }
     });
   }
@@ -206,11 +227,11 @@ class FurShader {
         // Update wind direction to create natural movement
         const windX = Math.sin(time * 0.3) * 0.5;
         const windZ = Math.cos(time * 0.5) * 0.5;
-        child.material.uniforms.windDirection.value.set(windX, 0, windZ);
+        child.material.uniforms.windDirection.value.set(windX, windZ);
         
         // Adjust wind strength based on time
         child.material.uniforms.windStrength.value = 0.01 + Math.sin(time) * 0.01;
       }
     });
   }
-} 
\ No newline at end of file
+}
@@ -1,14 +1,25 @@
-// Grass shader for realistic ground without image textures
-class GrassShader {
+import * as THREE from 'three';
+
+// Grass shader for realistic ground without image textures.
+// Works on plain meshes and on InstancedMesh blades, which bend away from playerPosition.
+export class GrassShader {
   constructor(options = {}) {
     this.uniforms = {
       time: { value: options.time || 0 },
-      sunPosition: { value: options.sunPosition || new THREE.Vector3(0, 1, 0) }
+      sunPosition: { value: options.sunPosition || new THREE.Vector3(0, 1, 0) },
+      playerPosition: { value: options.playerPosition || new THREE.Vector3(0, -1000, 0) },
+      bladeHeight: { value: options.bladeHeight || 4.0 },
+      bendRadius: { value: options.bendRadius || 2.5 },
+      bendStrength: { value: options.bendStrength || 0.8 }
     };
 
     // Define shader code
     const vertexShader = `
       uniform float time;
+      uniform vec3 playerPosition;
+      uniform float bladeHeight;
+      uniform float bendRadius;
+      uniform float bendStrength;
       
       varying vec2 vUv;
       varying vec3 vNormal;
@@ -21,7 +32,7 @@ class GrassShader {
       
       void main() {
         vUv = uv;
-        vNormal = normal;
+        vNormal = normalize(mat3(modelMatrix) * normal);
         vPosition = position;
         
         // Calculate wind effect
@@ -29,26 +40,43 @@ class GrassShader {
         float windSpeed = time * 2.0;
         
         // Don't affect points at ground level (y=0)
-        float height = position.y;
+        float height = clamp(position.y / bladeHeight, 0.0, 1.0);
+        
+        // Work in world space so neighbouring blades sway and bend together
+        #ifdef USE_INSTANCING
+          mat4 localToWorld = modelMatrix * instanceMatrix;
+        #else
+          mat4 localToWorld = modelMatrix;
+        #endif
+        vec3 pos = (localToWorld * vec4(position, 1.0)).xyz;
+        vec3 root = (localToWorld * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
         
         // Apply wind sway effect (only to the top part of grass)
-        vec3 pos = position;
-        float swayFactor = pow(height, 2.0) * 0.1;
+        float swayFactor = pow(height, 2.0);
         
         // Create varied wind effect with noise
-        float noiseValue = noise(pos.xz * 0.1 + windSpeed * 0.5);
+        float noiseValue = noise(root.xz * 0.1 + windSpeed * 0.5);
+        
+        pos.x += sin(windSpeed + root.z * 0.5) * swayFactor * windStrength * noiseValue;
+        pos.z += cos(windSpeed + root.x * 0.5) * swayFactor * windStrength * noiseValue;
         
-        pos.x += sin(windSpeed + pos.z * 0.5) * swayFactor * windStrength * noiseValue;
-        pos.z += cos(windSpeed + pos.x * 0.5) * swayFactor * windStrength * noiseValue;
+        // Bend away from the player, pushing the tip out and down
+        vec2 away = root.xz - playerPosition.xz;
+        float distanceToPlayer = length(away);
+        float bend = (1.0 - smoothstep(0.0, bendRadius, distanceToPlayer)) * bendStrength * swayFactor;
+        vec2 bendDirection = distanceToPlayer > 0.0001 ? away / distanceToPlayer : vec2(0.0);
+        pos.xz += bendDirection * bend * bladeHeight;
+        pos.y -= bend * bladeHeight * 0.5;
         
         // Project vertex
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+        gl_Position = projectionMatrix * viewMatrix * vec4(pos, 1.0);
       }
     `;
 
     const fragmentShader = `
       uniform float time;
       uniform vec3 sunPosition;
+      uniform float bladeHeight;
       
       varying vec2 vUv;
       varying vec3 vNormal;
@@ -97,7 +125,7 @@ class GrassShader {
         vec3 lightGreen = vec3(0.56, 0.78, 0.29); // Lighter grass color
         
         // Make grass color vary based on height
-        float heightFactor = clamp(vPosition.y / 4.0, 0.0, 1.0);
+        float heightFactor = clamp(vPosition.y / bladeHeight, 0.0, 1.0);
         
         // Create random variations with noise
         float noiseFactor = fbm(vUv * 10.0 + time * 0.05);
@@ -144,4 +172,8 @@ class GrassShader {
   updateSunPosition(position) {
     this.uniforms.sunPosition.value = position;
   }
-} 
\ No newline at end of file
+
+  updatePlayerPosition(position) {
+    this.uniforms.playerPosition.value.copy(position);
+  }
+}
@@ -1,8 +1,13 @@
-// Metal shader for realistic metal materials without image textures
-class MetalShader {
+import * as THREE from 'three';
+
+// Metal shader for realistic metal materials without image textures.
+// Supports skinned meshes and tints an optional diffuse map from the original material.
+export class MetalShader {
   constructor(options = {}) {
     this.uniforms = {
       color: { value: options.color || new THREE.Color(0.5, 0.5, 0.5) },
+      diffuseMap: { value: options.map || null },
+      hasDiffuseMap: { value: options.map ? 1.0 : 0.0 },
       roughness: { value: options.roughness || 0.5 },
       metalness: { value: options.metalness || 0.9 },
       time: { value: options.time || 0 },
@@ -11,6 +16,9 @@ class MetalShader {
 
     // Define shader code
     const vertexShader = `
+      #include <common>
+      #include <skinning_pars_vertex>
+      
       varying vec3 vNormal;
       varying vec3 vViewPosition;
       varying vec2 vUv;
@@ -18,8 +26,17 @@ class MetalShader {
       
       void main() {
         vUv = uv;
-        vNormal = normalize(normalMatrix * normal);
-        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        
+        // Skin the normal and position like the built-in materials do
+        #include <beginnormal_vertex>
+        #include <skinbase_vertex>
+        #include <skinnormal_vertex>
+        vNormal = normalize(normalMatrix * objectNormal);
+        
+        #include <begin_vertex>
+        #include <skinning_vertex>
+        
+        vec4 worldPosition = modelMatrix * vec4(transformed, 1.0);
         vWorldPosition = worldPosition.xyz;
         
         vec4 viewPosition = viewMatrix * worldPosition;
@@ -31,6 +48,8 @@ class MetalShader {
 
     const fragmentShader = `
       uniform vec3 color;
+      uniform sampler2D diffuseMap;
+      uniform float hasDiffuseMap;
       uniform float roughness;
       uniform float metalness;
       uniform float time;
@@ -120,8 +139,12 @@ class MetalShader {
         float F0 = mix(0.04, 0.9, metalness); // Base reflectivity
         float fresnelFactor = fresnel(NdotV, F0);
         
-        // Create metal color variation based on noise
-        vec3 baseColor = color * (1.0 + combinedNoise * 0.3);
+        // Create metal color variation based on noise, on top of the original texture
+        vec3 surfaceColor = color;
+        if (hasDiffuseMap > 0.5) {
+          surfaceColor *= texture2D(diffuseMap, vUv).rgb;
+        }
+        vec3 baseColor = surfaceColor * (1.0 + combinedNoise * 0.3);
         
         // Ambient light + diffuse + specular
         float ambient = 0.2;
@@ -177,4 +200,4 @@ class MetalShader {
       }
     });
   }
-} 
\ No newline at end of file
+}
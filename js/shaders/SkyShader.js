@@ -1,5 +1,7 @@
+import * as THREE from 'three';
+
 // Sky shader for realistic sky without image textures
-class SkyShader {
+export class SkyShader {
   constructor(options = {}) {
     // Initialize uniforms with defaults
     this.uniforms = {
@@ -76,7 +78,9 @@ class SkyShader {
       void main() {
         // Calculate world position and sun vectors
         vec4 worldPosition = modelMatrix * vec4(position, 1.0);
-        vWorldPosition = worldPosition.xyz;
+        
+        // Relative to the camera so the dome can follow the player around
+        vWorldPosition = worldPosition.xyz - cameraPosition;
         
         // Calculate sun direction and angle
         vSunDirection = normalize(sunPosition);
@@ -84,7 +88,7 @@ class SkyShader {
         vSunfade = 1.0 - clamp(1.0 - exp((sunPosition.y / 450000.0)), 0.0, 1.0);
         
         // Calculate normalized angle for sky gradients
-        float zenithAngle = acos(max(0.0, dot(up, normalize(worldPosition.xyz))));
+        float zenithAngle = acos(max(0.0, dot(up, normalize(vWorldPosition))));
         
         // Calculate atmospheric scattering
         float rayleighCoefficient = rayleigh - (1.0 * (1.0 - vSunfade));
@@ -316,4 +320,4 @@ class SkyShader {
     this.uniforms.sunIntensity.value = dayFactor;
     this.uniforms.moonIntensity.value = 0.25 * (1 - dayFactor);
   }
-} 
\ No newline at end of file
+}
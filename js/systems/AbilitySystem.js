@@ -0,0 +1,388 @@
+import { ABILITIES } from '../core/Constants.js';
+import { getHitWindow } from '../core/Combat.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// Reasons an ability can fail, sent with 'abilityFailed'
+export const ABILITY_ERRORS = {
+  UNKNOWN: 'unknown',
+  DEAD: 'dead',
+  CASTING: 'casting',
+  ON_COOLDOWN: 'cooldown',
+  GLOBAL_COOLDOWN: 'gcd',
+  NOT_ENOUGH_RESOURCE: 'resource',
+  NO_TARGET: 'noTarget',
+  OUT_OF_RANGE: 'range',
+  // The animation graph would not start the ability's clip
+  BUSY: 'busy'
+};
+
+// Failures that resolve by themselves, worth queueing the press for
+const QUEUEABLE_ERRORS = [
+  ABILITY_ERRORS.CASTING,
+  ABILITY_ERRORS.ON_COOLDOWN,
+  ABILITY_ERRORS.GLOBAL_COOLDOWN
+];
+
+// Validates, queues and executes data-driven abilities for one caster.
+//
+// An ability is { id, name, animation, castTime, cooldown, gcd, cost: { resource, amount },
+// range, requiresTarget, effects: [{ type, ... }], combo }, see assets/data/abilities.json.
+//
+// An ability with combo: { steps: [{ animation, multiplier }], bufferTime,
+// resetTime } chains through its steps on repeated use. The first step is a normal
+// use; later ones skip cost, cooldown and GCD and fire once the previous step
+// reaches its recovery (the end of its clip's hit window, COMBAT.HIT_WINDOWS).
+// Presses up to bufferTime before that are buffered, the chain resets resetTime
+// after a clip ends or when another ability is used. Effects get the step as
+// context.step.
+//
+// Events: abilityQueued, abilityFailed, castStart, castInterrupted, abilityExecuted,
+// cooldownStart, effect, comboBuffered, comboStep, comboReset. Effects are resolved
+// by handlers registered per type, e.g. the combat system handles 'damage'.
+export class AbilitySystem extends EventEmitter {
+  constructor(caster, abilities = [], { getTarget = () => null } = {}) {
+    super();
+    this.caster = caster;
+    this.getTarget = getTarget;
+
+    this.abilities = new Map();
+    abilities.forEach((ability) => this.registerAbility(ability));
+
+    // id -> { remaining, duration }
+    this.cooldowns = new Map();
+    this.globalCooldown = { remaining: 0, duration: 0 };
+
+    this.currentCast = null;
+    this.queued = null;
+
+    // Chain in progress: { ability, index, target, elapsed, recoveryAt, endsAt, buffered }
+    this.combo = null;
+
+    this.effectHandlers = new Map();
+    this.registerDefaultEffects();
+  }
+
+  registerAbility(ability) {
+    const registered = {
+      castTime: 0,
+      cooldown: 0,
+      gcd: ABILITIES.DEFAULT_GCD,
+      cost: null,
+      range: 0,
+      requiresTarget: false,
+      effects: [],
+      ...ability
+    };
+
+    if (ability.combo) {
+      registered.combo = {
+        bufferTime: ABILITIES.COMBO_BUFFER_TIME,
+        resetTime: ABILITIES.COMBO_RESET_TIME,
+        ...ability.combo,
+        steps: ability.combo.steps.map((step, index) => ({
+          index,
+          animation: ability.animation,
+          multiplier: 1,
+          ...step
+        }))
+      };
+      // The opening step is what a plain use plays
+      registered.animation = registered.combo.steps[0].animation;
+    }
+    this.abilities.set(ability.id, registered);
+  }
+
+  getAbility(id) {
+    return this.abilities.get(id);
+  }
+
+  registerEffectHandler(type, handler) {
+    this.effectHandlers.set(type, handler);
+  }
+
+  registerDefaultEffects() {
+    this.registerEffectHandler('heal', (effect, { caster, target }) => {
+      (target || caster).heal(effect.amount, caster);
+    });
+    this.registerEffectHandler('resource', (effect, { caster }) => {
+      caster.addResource(effect.resource, effect.amount);
+    });
+    this.registerEffectHandler('aura', (effect, { caster, target }) => {
+      (effect.target === 'target' && target ? target : caster).addAura(effect.aura, effect.duration);
+    });
+  }
+
+  getCooldownRemaining(id) {
+    const cooldown = this.cooldowns.get(id);
+    return cooldown ? cooldown.remaining : 0;
+  }
+
+  // 0 when ready, 1 right after use. Covers the GCD when it is the longer wait.
+  getCooldownProgress(id) {
+    const cooldown = this.cooldowns.get(id);
+    const gcd = this.globalCooldown;
+    const ability = this.abilities.get(id);
+
+    let remaining = cooldown ? cooldown.remaining : 0;
+    let duration = cooldown ? cooldown.duration : 0;
+    if (ability && ability.gcd > 0 && gcd.remaining > remaining) {
+      remaining = gcd.remaining;
+      duration = gcd.duration;
+    }
+    return duration > 0 ? remaining / duration : 0;
+  }
+
+  isCasting() {
+    return this.currentCast !== null;
+  }
+
+  hasResource(ability) {
+    if (!ability.cost || !ability.cost.amount) return true;
+    return this.caster.getResource(ability.cost.resource) >= ability.cost.amount;
+  }
+
+  isInRange(ability, target) {
+    if (!ability.range || !target) return true;
+    return this.caster.getPosition().distanceTo(target.getPosition()) <= ability.range;
+  }
+
+  // Returns an ABILITY_ERRORS value, or null if the ability can be used right now
+  validate(ability, target) {
+    if (!ability) return ABILITY_ERRORS.UNKNOWN;
+    if (this.caster.isDead && this.caster.isDead()) return ABILITY_ERRORS.DEAD;
+    if (this.currentCast) return ABILITY_ERRORS.CASTING;
+    if (this.getCooldownRemaining(ability.id) > 0) return ABILITY_ERRORS.ON_COOLDOWN;
+    if (ability.gcd > 0 && this.globalCooldown.remaining > 0) return ABILITY_ERRORS.GLOBAL_COOLDOWN;
+    if (!this.hasResource(ability)) return ABILITY_ERRORS.NOT_ENOUGH_RESOURCE;
+    if (ability.requiresTarget && !target) return ABILITY_ERRORS.NO_TARGET;
+    if (ability.requiresTarget && !this.isInRange(ability, target)) return ABILITY_ERRORS.OUT_OF_RANGE;
+    return null;
+  }
+
+  // Time until the blocking cooldown or cast is over
+  getWaitTime(ability) {
+    const castRemaining = this.currentCast
+      ? this.currentCast.ability.castTime - this.currentCast.elapsed
+      : 0;
+    const gcdRemaining = ability.gcd > 0 ? this.globalCooldown.remaining : 0;
+    return Math.max(castRemaining, gcdRemaining, this.getCooldownRemaining(ability.id));
+  }
+
+  use(id, target = this.getTarget()) {
+    const ability = this.abilities.get(id);
+    const continued = this.continueCombo(ability, target);
+    if (continued !== null) return continued;
+
+    const error = this.validate(ability, target);
+
+    if (error) {
+      // Pressed slightly early, fire it as soon as possible instead of dropping it
+      if (QUEUEABLE_ERRORS.includes(error) && this.getWaitTime(ability) <= ABILITIES.QUEUE_WINDOW) {
+        this.queued = { id, target };
+        this.emit('abilityQueued', { ability, target });
+        return true;
+      }
+
+      this.emit('abilityFailed', { ability, id, reason: error });
+      return false;
+    }
+
+    // Nothing resolves without its clip, casts play it from the start
+    if (ability.animation && !this.caster.playAnimation(ability.animation)) {
+      this.emit('abilityFailed', { ability, id, reason: ABILITY_ERRORS.BUSY });
+      return false;
+    }
+
+    if (ability.castTime > 0) {
+      this.startCast(ability, target);
+    } else {
+      this.execute(ability, target);
+    }
+    return true;
+  }
+
+  startCast(ability, target) {
+    this.currentCast = { ability, target, elapsed: 0 };
+    this.startGlobalCooldown(ability);
+    this.emit('castStart', { ability, target });
+  }
+
+  interruptCast(reason = 'interrupted') {
+    if (!this.currentCast) return;
+
+    const { ability } = this.currentCast;
+    this.currentCast = null;
+    this.emit('castInterrupted', { ability, reason });
+  }
+
+  execute(ability, target) {
+    if (this.combo && this.combo.ability !== ability) {
+      this.resetCombo();
+    }
+
+    if (ability.cost && ability.cost.amount) {
+      this.caster.spendResource(ability.cost.resource, ability.cost.amount);
+    }
+
+    if (ability.cooldown > 0) {
+      this.cooldowns.set(ability.id, { remaining: ability.cooldown, duration: ability.cooldown });
+      this.emit('cooldownStart', { ability, duration: ability.cooldown });
+    }
+
+    // Cast abilities already started the GCD, use started the animation
+    if (ability.castTime === 0) {
+      this.startGlobalCooldown(ability);
+    }
+
+    const step = ability.combo ? ability.combo.steps[0] : null;
+    this.emit('abilityExecuted', { ability, target, step });
+    this.applyEffects(ability, target, step);
+
+    if (step) {
+      this.startComboStep(ability, step, target);
+    }
+  }
+
+  applyEffects(ability, target, step = null) {
+    ability.effects.forEach((effect) => {
+      const context = { ability, caster: this.caster, target, step };
+      const handler = this.effectHandlers.get(effect.type);
+      if (handler) {
+        handler(effect, context);
+      }
+      this.emit('effect', { effect, ...context });
+    });
+  }
+
+  // The step's recovery starts where its hit window ends
+  startComboStep(ability, step, target) {
+    const duration = this.caster.getAnimationDuration
+      ? this.caster.getAnimationDuration(step.animation) || 1
+      : 1;
+    const [, hitEnd] = getHitWindow(step.animation);
+
+    this.combo = {
+      ability,
+      index: step.index,
+      target,
+      elapsed: 0,
+      recoveryAt: hitEnd * duration,
+      endsAt: duration + ability.combo.resetTime,
+      buffered: false
+    };
+  }
+
+  // A press of the ability whose chain is running. Returns true if the chain
+  // took it, false if it came too early to buffer or the step could not
+  // start, and null if there is no chain for it to continue.
+  continueCombo(ability, target) {
+    const combo = this.combo;
+    if (!combo || combo.ability !== ability || this.currentCast) return null;
+    if (combo.index >= ability.combo.steps.length - 1) return null;
+
+    if (combo.elapsed >= combo.recoveryAt) {
+      return this.advanceCombo(target);
+    }
+
+    // Too early to buffer, refused so it doesn't start a fresh chain either
+    if (combo.elapsed < combo.recoveryAt - ability.combo.bufferTime) {
+      this.emit('abilityFailed', { ability, id: ability.id, reason: ABILITY_ERRORS.BUSY });
+      return false;
+    }
+
+    combo.buffered = true;
+    combo.target = target;
+    this.emit('comboBuffered', { ability, index: combo.index + 1 });
+    return true;
+  }
+
+  // The chain ends if the graph refuses the step's clip
+  advanceCombo(target) {
+    const { ability, index } = this.combo;
+    const step = ability.combo.steps[index + 1];
+
+    if (!this.caster.playAnimation(step.animation)) {
+      this.resetCombo();
+      return false;
+    }
+    this.emit('comboStep', { ability, target, step });
+    this.emit('abilityExecuted', { ability, target, step });
+    this.applyEffects(ability, target, step);
+    this.startComboStep(ability, step, target);
+    return true;
+  }
+
+  resetCombo() {
+    if (!this.combo) return;
+
+    const { ability, index } = this.combo;
+    this.combo = null;
+    this.emit('comboReset', { ability, index });
+  }
+
+  updateCombo(deltaTime) {
+    if (!this.combo) return;
+
+    if (this.caster.isDead && this.caster.isDead()) {
+      this.resetCombo();
+      return;
+    }
+
+    const combo = this.combo;
+    combo.elapsed += deltaTime;
+    if (combo.buffered && combo.elapsed >= combo.recoveryAt) {
+      this.advanceCombo(combo.target);
+    } else if (combo.elapsed >= combo.endsAt) {
+      this.resetCombo();
+    }
+  }
+
+  startGlobalCooldown(ability) {
+    if (ability.gcd > 0) {
+      this.globalCooldown.remaining = ability.gcd;
+      this.globalCooldown.duration = ability.gcd;
+    }
+  }
+
+  update(deltaTime) {
+    this.cooldowns.forEach((cooldown, id) => {
+      cooldown.remaining -= deltaTime;
+      if (cooldown.remaining <= 0) {
+        this.cooldowns.delete(id);
+      }
+    });
+    this.globalCooldown.remaining = Math.max(0, this.globalCooldown.remaining - deltaTime);
+    this.updateCombo(deltaTime);
+
+    if (this.currentCast) {
+      // Moving breaks a cast
+      if (this.caster.isMoving()) {
+        this.interruptCast('moved');
+      } else {
+        this.currentCast.elapsed += deltaTime;
+        if (this.currentCast.elapsed >= this.currentCast.ability.castTime) {
+          const { ability, target } = this.currentCast;
+          this.currentCast = null;
+          this.execute(ability, target);
+        }
+      }
+    }
+
+    if (this.queued) {
+      const { id, target } = this.queued;
+      const ability = this.abilities.get(id);
+      if (!QUEUEABLE_ERRORS.includes(this.validate(ability, target))) {
+        this.queued = null;
+        this.use(id, target);
+      }
+    }
+  }
+
+  dispose() {
+    this.removeAllListeners();
+    this.cooldowns.clear();
+    this.currentCast = null;
+    this.queued = null;
+    this.combo = null;
+  }
+}
@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+import { ANIMATION } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// Declarative animation graph driving an AnimationMixer.
+//
+// graph: {
+//   parts: { upper: 'Spine', lower: null }, body parts by root bone name, null
+//          takes every bone no other part claims
+//   parameters: { moving: false, ... }, initial values read by conditions
+//   layers: [{
+//     name, initial (state name or null for an empty layer),
+//     mask: parts the layer plays on, an array or (parameters) => array,
+//           defaults to every part
+//     states: { NAME: { clip, loop = true, timeScale = 1, interruptible } },
+//     transitions: [{ from, to, when, trigger, finished, force, duration }]
+//   }]
+// }
+//
+// Transitions are checked in order and the first match wins, a match that
+// leads to the current state keeps it. `from` is a state name, an array of
+// them or omitted for any state; `to` null empties the layer. A transition
+// needs `when(parameters)` to pass, its `trigger` to have been fired and, with
+// `finished`, the current one-shot to have ended. One-shot states can't be
+// left before they finish unless `interruptible` or the transition has `force`.
+//
+// Layers are stacked bottom to top, each one replaces the layers below it on
+// the parts in its mask while it is in a state. The bottom layer always plays.
+//
+// Events: stateChange, finished
+export class AnimationStateMachine extends EventEmitter {
+  constructor(model, clips, graph) {
+    super();
+    this.model = model;
+    this.clips = clips;
+    this.mixer = new THREE.AnimationMixer(model);
+
+    this.parameters = { ...graph.parameters };
+    this.triggers = new Set();
+    this.parts = this.createParts(graph.parts || {});
+    this.partClips = new Map();
+    this.actionStates = new Map();
+
+    this.layers = graph.layers.map((definition, index) => this.createLayer(definition, index));
+
+    this.onFinished = (event) => {
+      const owner = this.actionStates.get(event.action);
+      if (!owner || owner.layer.current !== owner.state || owner.layer.finished) return;
+
+      owner.layer.finished = true;
+      this.emit('finished', { layer: owner.layer.name, state: owner.state });
+    };
+    this.mixer.addEventListener('finished', this.onFinished);
+
+    this.layers.forEach((layer) => {
+      if (layer.initial) {
+        this.enterState(layer, layer.initial, 0);
+        layer.stateWeights.set(layer.initial, 1);
+      }
+    });
+    this.applyWeights();
+  }
+
+  // Bone names per part, the part without a root gets the bones left over
+  createParts(definitions) {
+    const bones = [];
+    this.model.traverse((child) => {
+      if (child.isBone) bones.push(child);
+    });
+
+    const parts = new Map();
+    const claimed = new Set();
+    Object.entries(definitions).forEach(([part, rootName]) => {
+      if (!rootName) return;
+
+      // Rigs prefix their bone names, e.g. mixamorigSpine
+      const root = bones.find((bone) => bone.name.endsWith(rootName));
+      const names = new Set();
+      if (root) {
+        root.traverse((child) => {
+          if (child.isBone) names.add(child.name);
+        });
+      } else {
+        console.warn(`No ${rootName} bone for the ${part} animation mask`);
+      }
+      names.forEach((name) => claimed.add(name));
+      parts.set(part, names);
+    });
+
+    const restPart = Object.keys(definitions).find((part) => !definitions[part]) || 'body';
+    parts.set(restPart, null);
+    this.claimedBones = claimed;
+    return parts;
+  }
+
+  isTrackInPart(track, part) {
+    const { nodeName } = THREE.PropertyBinding.parseTrackName(track.name);
+    const bones = this.parts.get(part);
+    return bones ? bones.has(nodeName) : !this.claimedBones.has(nodeName);
+  }
+
+  // The clip cut down to the tracks of one part. Cut per state, the mixer
+  // shares one action per clip and states reusing a clip need their own.
+  getPartClip(layer, stateName, part) {
+    const key = `${layer.name}.${stateName}:${part}`;
+    if (!this.partClips.has(key)) {
+      const clip = this.clips.get(layer.states.get(stateName).clip);
+      const tracks = clip.tracks.filter((track) => this.isTrackInPart(track, part));
+      this.partClips.set(key, new THREE.AnimationClip(key, clip.duration, tracks));
+    }
+    return this.partClips.get(key);
+  }
+
+  createLayer(definition, index) {
+    const layer = {
+      name: definition.name,
+      index,
+      initial: definition.initial ?? null,
+      mask: definition.mask || null,
+      states: new Map(),
+      transitions: definition.transitions || [],
+      current: null,
+      finished: false,
+      fadeRate: Infinity,
+      // state -> crossfade weight, part -> layer weight
+      stateWeights: new Map(),
+      partWeights: new Map(),
+      actions: new Map()
+    };
+
+    Object.entries(definition.states).forEach(([name, state]) => {
+      if (!this.clips.has(state.clip)) {
+        console.warn(`Could not find animation: ${state.clip}`);
+        return;
+      }
+
+      layer.states.set(name, state);
+      const actions = new Map();
+      this.parts.forEach((bones, part) => {
+        const action = this.mixer.clipAction(this.getPartClip(layer, name, part));
+        action.setEffectiveWeight(0);
+        actions.set(part, action);
+        this.actionStates.set(action, { layer, state: name });
+      });
+      layer.actions.set(name, actions);
+    });
+
+    this.parts.forEach((bones, part) => layer.partWeights.set(part, index === 0 ? 1 : 0));
+    return layer;
+  }
+
+  getLayer(name) {
+    return this.layers.find((layer) => layer.name === name);
+  }
+
+  getState(layerName) {
+    const layer = this.getLayer(layerName);
+    return layer ? layer.current : null;
+  }
+
+  getClipDuration(name) {
+    const clip = this.clips.get(name);
+    return clip ? clip.duration : 0;
+  }
+
+  setParameter(name, value) {
+    this.parameters[name] = value;
+  }
+
+  setParameters(values) {
+    Object.assign(this.parameters, values);
+  }
+
+  // Fire a trigger and take the transitions it opens right away, returns true
+  // if any layer changed state because of it
+  trigger(name) {
+    this.triggers.add(name);
+    return this.evaluate().some((transition) => transition.trigger === name);
+  }
+
+  isLocked(layer) {
+    if (!layer.current || layer.finished) return false;
+
+    const state = layer.states.get(layer.current);
+    return state.loop === false && !state.interruptible;
+  }
+
+  matchesFrom(from, current) {
+    if (from === undefined || from === '*') return true;
+    return Array.isArray(from) ? from.includes(current) : from === current;
+  }
+
+  // Check every layer's transitions once, returns the transitions taken
+  evaluate() {
+    const taken = [];
+
+    this.layers.forEach((layer) => {
+      const locked = this.isLocked(layer);
+
+      for (const transition of layer.transitions) {
+        if (!this.matchesFrom(transition.from, layer.current)) continue;
+        if (locked && !transition.force) continue;
+        if (transition.finished && !layer.finished) continue;
+        if (transition.trigger && !this.triggers.has(transition.trigger)) continue;
+        if (transition.when && !transition.when(this.parameters)) continue;
+
+        // Triggers restart the state they lead to, conditions just hold it
+        const to = transition.to ?? null;
+        if (to !== null && !layer.states.has(to)) continue;
+        if (to !== layer.current || transition.trigger) {
+          this.enterState(layer, to, transition.duration ?? ANIMATION.CROSSFADE);
+          taken.push(transition);
+        }
+        break;
+      }
+    });
+
+    this.triggers.clear();
+    return taken;
+  }
+
+  enterState(layer, name, duration) {
+    const previous = layer.current;
+    layer.current = name;
+    layer.finished = false;
+    layer.fadeRate = duration > 0 ? 1 / duration : Infinity;
+
+    if (name !== null) {
+      const state = layer.states.get(name);
+      const loop = state.loop !== false;
+      layer.actions.get(name).forEach((action) => {
+        action.reset();
+        action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        action.clampWhenFinished = !loop;
+        action.timeScale = state.timeScale ?? 1;
+        // Reversed clips start from their last frame
+        if (action.timeScale < 0) {
+          action.time = action.getClip().duration;
+        }
+        action.play();
+      });
+      if (!layer.stateWeights.has(name)) {
+        layer.stateWeights.set(name, 0);
+      }
+    }
+
+    this.emit('stateChange', { layer: layer.name, from: previous, to: name });
+  }
+
+  getMask(layer) {
+    if (!layer.mask) return Array.from(this.parts.keys());
+    return typeof layer.mask === 'function' ? layer.mask(this.parameters) : layer.mask;
+  }
+
+  approach(value, target, step) {
+    return value < target ? Math.min(target, value + step) : Math.max(target, value - step);
+  }
+
+  // Move crossfades and layer weights towards where the current states want them
+  updateWeights(deltaTime) {
+    this.layers.forEach((layer) => {
+      const step = layer.fadeRate === Infinity ? Infinity : deltaTime * layer.fadeRate;
+
+      layer.stateWeights.forEach((weight, name) => {
+        const next = this.approach(weight, name === layer.current ? 1 : 0, step);
+        if (next === 0 && name !== layer.current) {
+          layer.stateWeights.delete(name);
+          layer.actions.get(name).forEach((action) => action.stop());
+        } else {
+          layer.stateWeights.set(name, next);
+        }
+      });
+
+      if (layer.index === 0) return;
+
+      const mask = layer.current !== null ? this.getMask(layer) : [];
+      layer.partWeights.forEach((weight, part) => {
+        layer.partWeights.set(part, this.approach(weight, mask.includes(part) ? 1 : 0, step));
+      });
+    });
+  }
+
+  // Upper layers take their share of each part first, the rest goes down
+  applyWeights() {
+    this.parts.forEach((bones, part) => {
+      let remaining = 1;
+
+      for (let index = this.layers.length - 1; index >= 0; index--) {
+        const layer = this.layers[index];
+        const share = remaining * layer.partWeights.get(part);
+        remaining -= share;
+
+        let total = 0;
+        layer.stateWeights.forEach((weight) => { total += weight; });
+
+        layer.actions.forEach((actions, name) => {
+          const weight = layer.stateWeights.get(name) || 0;
+          actions.get(part).setEffectiveWeight(total > 0 ? (share * weight) / total : 0);
+        });
+      }
+    });
+  }
+
+  update(deltaTime) {
+    this.evaluate();
+    this.updateWeights(deltaTime);
+    this.applyWeights();
+    this.mixer.update(deltaTime);
+  }
+
+  dispose() {
+    this.mixer.removeEventListener('finished', this.onFinished);
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.model);
+    this.partClips.forEach((clip) => this.mixer.uncacheClip(clip));
+    this.removeAllListeners();
+  }
+}
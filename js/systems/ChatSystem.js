@@ -0,0 +1,210 @@
+import { CHAT } from '../core/Constants.js';
+import { MESSAGE } from '../core/Protocol.js';
+import { CHAT_CHANNEL, parseRollRange, parseSlashCommand, sanitizeChatText } from '../core/Chat.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// Channels a bare message goes to after using their command, like /p
+const STICKY_CHANNELS = [CHAT_CHANNEL.SAY, CHAT_CHANNEL.YELL, CHAT_CHANNEL.PARTY, CHAT_CHANNEL.GENERAL];
+
+// Client side of chat: keeps the message history, sends what the player types
+// through the game server (see server/ChatRelay.js) and runs slash commands
+// from a registry that anything can add to with registerCommand.
+//
+// A message is { channel, text, from: { id, name }, to, time }, from and to
+// are null where they don't apply.
+//
+// Events: message, channelChanged
+export class ChatSystem extends EventEmitter {
+  constructor({ network, player }) {
+    super();
+    this.network = network;
+    this.player = player;
+
+    this.messages = [];
+    this.channel = CHAT_CHANNEL.SAY;
+    // '#<id>' of whoever whispered us last, for /r
+    this.replyTarget = null;
+
+    // name -> command, aliases point at the same command
+    this.commands = new Map();
+    this.registerDefaultCommands();
+
+    this.unsubscribeNetwork = network.on(MESSAGE.CHAT, (message) => this.receive(message));
+  }
+
+  // command: { usage, description, run(args) }, usage and description show in /help
+  registerCommand(name, command, aliases = []) {
+    const registered = { name, aliases, usage: `/${name}`, description: '', ...command };
+    [name, ...aliases].forEach((key) => this.commands.set(key.toLowerCase(), registered));
+    return registered;
+  }
+
+  getCommands() {
+    return Array.from(new Set(this.commands.values()));
+  }
+
+  registerDefaultCommands() {
+    const channelCommand = (channel, description) => ({
+      usage: `/${channel} <message>`,
+      description,
+      run: (args) => {
+        this.setChannel(channel);
+        if (args) this.send(channel, args);
+      }
+    });
+
+    this.registerCommand('say', channelCommand(CHAT_CHANNEL.SAY, 'Talk to players nearby'), ['s']);
+    this.registerCommand('yell', channelCommand(CHAT_CHANNEL.YELL, 'Shout to players further away'), ['y']);
+    this.registerCommand('party', channelCommand(CHAT_CHANNEL.PARTY, 'Talk to your party'), ['p']);
+    this.registerCommand('general', channelCommand(CHAT_CHANNEL.GENERAL, 'Talk to everyone online'), ['g', '1']);
+
+    this.registerCommand('whisper', {
+      usage: '/whisper <name> <message>',
+      description: 'Talk to one player, #<id> for players sharing a name',
+      run: (args) => {
+        const match = args.match(/^(\S+)\s+(.+)$/s);
+        if (!match) {
+          this.addSystemMessage('Usage: /whisper <name> <message>');
+          return;
+        }
+        this.send(CHAT_CHANNEL.WHISPER, match[2], match[1]);
+      }
+    }, ['w', 'tell', 't']);
+
+    this.registerCommand('reply', {
+      usage: '/reply <message>',
+      description: 'Whisper whoever whispered you last',
+      run: (args) => {
+        if (!this.replyTarget) {
+          this.addSystemMessage('Nobody has whispered you yet.');
+          return;
+        }
+        if (args) this.send(CHAT_CHANNEL.WHISPER, args, this.replyTarget);
+      }
+    }, ['r']);
+
+    this.registerCommand('emote', {
+      usage: '/emote <action>',
+      description: 'Describe what you are doing',
+      run: (args) => {
+        if (args) this.send(CHAT_CHANNEL.EMOTE, args);
+      }
+    }, ['e', 'me']);
+
+    Object.entries(CHAT.EMOTES).forEach(([name, emote]) => {
+      this.registerCommand(name, {
+        description: `Emote: ${emote.text}`,
+        run: () => {
+          if (emote.animation) this.player.playAnimation(emote.animation);
+          this.send(CHAT_CHANNEL.EMOTE, emote.text);
+        }
+      });
+    });
+
+    this.registerCommand('who', {
+      description: 'List the players online',
+      run: () => this.sendCommand('who')
+    });
+
+    this.registerCommand('roll', {
+      usage: '/roll [max] or /roll [min]-[max]',
+      description: `Roll a random number, 1-${CHAT.ROLL_DEFAULT_MAX} by default`,
+      run: (args) => {
+        if (!parseRollRange(args)) {
+          this.addSystemMessage('Usage: /roll [max] or /roll [min]-[max]');
+          return;
+        }
+        this.sendCommand('roll', args);
+      }
+    });
+
+    this.registerCommand('help', {
+      description: 'List chat commands',
+      run: () => {
+        this.getCommands().forEach(({ usage, description, aliases }) => {
+          const aliasText = aliases.length > 0 ? ` (${aliases.map((alias) => `/${alias}`).join(', ')})` : '';
+          this.addSystemMessage(`${usage}${aliasText} - ${description}`);
+        });
+      }
+    }, ['?']);
+  }
+
+  setChannel(channel) {
+    if (!STICKY_CHANNELS.includes(channel) || channel === this.channel) return;
+
+    this.channel = channel;
+    this.emit('channelChanged', { channel });
+  }
+
+  // Whatever the player typed in the chat box
+  submit(input) {
+    const text = sanitizeChatText(input);
+    if (!text) return;
+
+    const parsed = parseSlashCommand(text);
+    if (!parsed) {
+      this.send(this.channel, text);
+      return;
+    }
+
+    const command = this.commands.get(parsed.command);
+    if (!command) {
+      this.addSystemMessage(`Unknown command /${parsed.command}, type /help for a list.`);
+      return;
+    }
+    command.run(parsed.args);
+  }
+
+  // Offline there is nobody to hear us, messages other than whispers echo locally
+  send(channel, text, target = null) {
+    const cleanText = sanitizeChatText(text);
+    if (!cleanText) return false;
+
+    if (this.network.sendChat(channel, cleanText, target)) return true;
+
+    if (channel === CHAT_CHANNEL.WHISPER) {
+      this.addSystemMessage('You are not connected to the game server.');
+      return false;
+    }
+    this.addMessage({ channel, text: cleanText, from: { id: null, name: this.player.name } });
+    return true;
+  }
+
+  sendCommand(command, args = '') {
+    if (this.network.sendChatCommand(command, args)) return true;
+
+    this.addSystemMessage('You are not connected to the game server.');
+    return false;
+  }
+
+  receive({ channel, text, from = null, to = null }) {
+    if (channel === CHAT_CHANNEL.WHISPER && from && from.id !== this.network.playerId) {
+      this.replyTarget = `#${from.id}`;
+    }
+    this.addMessage({ channel, text, from, to });
+  }
+
+  addSystemMessage(text) {
+    this.addMessage({ channel: CHAT_CHANNEL.SYSTEM, text });
+  }
+
+  addMessage({ channel, text, from = null, to = null }) {
+    const message = { channel, text, from, to, time: Date.now() };
+    this.messages.push(message);
+    if (this.messages.length > CHAT.HISTORY) {
+      this.messages.shift();
+    }
+    this.emit('message', message);
+    return message;
+  }
+
+  // Whether a message was sent by the local player
+  isOwnMessage(message) {
+    return Boolean(message.from) && (message.from.id === null || message.from.id === this.network.playerId);
+  }
+
+  dispose() {
+    this.unsubscribeNetwork();
+    this.removeAllListeners();
+  }
+}
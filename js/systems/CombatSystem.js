@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+import { COMBAT, PHYSICS } from '../core/Constants.js';
+import { computeDamage, findNearestGraveyard, getHitWindow } from '../core/Combat.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+const weaponPosition = new THREE.Vector3();
+
+// Resolves fights between registered combatants. Melee damage effects start a
+// swing that hits whatever the attacker's weapon touches during the clip's hit
+// window; damage goes through crit, armor and block, and combatants registered
+// with respawns are sent to the nearest graveyard after COMBAT.RESPAWN_TIME.
+//
+// A combatant provides faction, armor, critChance, getPosition, isDead, hasAura
+// and takeDamage. Attackers also provide getWeaponPosition and
+// getAnimationDuration, respawning ones respawn({ x, z }). Optional hitRadius
+// and hitHeight override the default capsule size, an optional isEvading makes
+// the combatant ignore damage, an attacker's attackPower adds to every hit and
+// its missChance makes hits miss. Quest givers (questGiver set) are nobody's
+// enemy and never fight.
+//
+// Events: swingStart, damage, death, respawn
+export class CombatSystem extends EventEmitter {
+  constructor() {
+    super();
+
+    // entity -> { respawns, respawnTimer }
+    this.combatants = new Map();
+    this.swings = [];
+  }
+
+  register(entity, { respawns = false } = {}) {
+    this.combatants.set(entity, { respawns, respawnTimer: null });
+  }
+
+  unregister(entity) {
+    this.combatants.delete(entity);
+    this.cancelSwings(entity);
+  }
+
+  // Route an ability system's 'damage' effects through combat. Melee is the
+  // default delivery, 'instant' effects hit the ability target right away.
+  // Combo steps scale the damage and bring their own clip and hit window.
+  attachAbilitySystem(abilitySystem) {
+    abilitySystem.registerEffectHandler('damage', (effect, { ability, caster, target, step }) => {
+      const amount = effect.amount * (step ? step.multiplier : 1);
+      if (effect.delivery === 'instant') {
+        if (target && this.isHostile(caster, target)) {
+          this.dealDamage(caster, target, amount, { ability });
+        }
+        return;
+      }
+      this.startSwing(caster, ability, amount, step);
+    });
+  }
+
+  isHostile(entity, other) {
+    if (entity.questGiver || other.questGiver) return false;
+    return entity !== other && entity.faction !== other.faction;
+  }
+
+  // Living combatants hostile to entity within radius on the ground plane
+  getHostilesInRange(entity, radius) {
+    const position = entity.getPosition();
+    const hostiles = [];
+
+    this.combatants.forEach((entry, other) => {
+      if (other.isDead() || !this.isHostile(entity, other)) return;
+
+      const otherPosition = other.getPosition();
+      if (Math.hypot(otherPosition.x - position.x, otherPosition.z - position.z) <= radius) {
+        hostiles.push(other);
+      }
+    });
+    return hostiles;
+  }
+
+  // step is an optional combo step whose animation replaces the ability's
+  startSwing(attacker, ability, amount, step = null) {
+    const animation = step ? step.animation : ability.animation;
+    const [start, end] = getHitWindow(animation);
+    const duration = attacker.getAnimationDuration(animation) || 1;
+
+    const swing = {
+      attacker,
+      ability,
+      step,
+      amount,
+      elapsed: 0,
+      start: start * duration,
+      end: end * duration,
+      // Each target is hit at most once per swing
+      hit: new Set(),
+      cancelled: false
+    };
+    this.swings.push(swing);
+    this.emit('swingStart', { attacker, ability, step });
+    return swing;
+  }
+
+  cancelSwings(attacker) {
+    this.swings.forEach((swing) => {
+      if (swing.attacker === attacker) {
+        swing.cancelled = true;
+      }
+    });
+  }
+
+  // Apply damage to target, returns the resolved hit or null if it could not be
+  // hurt. Misses are still sent as 'damage' events, with missed set and no amount.
+  dealDamage(attacker, target, base, { ability = null } = {}) {
+    if (target.isDead() || (target.isEvading && target.isEvading())) return null;
+
+    const hit = computeDamage({
+      base: base + (attacker ? attacker.attackPower || 0 : 0),
+      armor: target.armor || 0,
+      critChance: attacker ? attacker.critChance || 0 : 0,
+      missChance: attacker ? attacker.missChance || 0 : 0,
+      blocking: target.hasAura('block')
+    });
+    if (!hit.missed) {
+      target.takeDamage(hit.amount, attacker);
+    }
+
+    const event = { attacker, target, ability, ...hit };
+    this.emit('damage', event);
+
+    if (target.isDead()) {
+      this.handleDeath(target, attacker);
+    }
+    return event;
+  }
+
+  handleDeath(target, killer) {
+    this.cancelSwings(target);
+
+    const entry = this.combatants.get(target);
+    if (entry && entry.respawns) {
+      entry.respawnTimer = COMBAT.RESPAWN_TIME;
+    }
+    this.emit('death', { target, killer });
+  }
+
+  // Seconds until a dead combatant respawns, null if it is not waiting to
+  getRespawnRemaining(entity) {
+    const entry = this.combatants.get(entity);
+    return entry ? entry.respawnTimer : null;
+  }
+
+  // Closest point of the target's upright capsule to the weapon, within reach counts
+  isWeaponTouching(point, target) {
+    const feet = target.getPosition();
+    const height = target.hitHeight ?? PHYSICS.CAPSULE_HEIGHT;
+    const radius = (target.hitRadius ?? PHYSICS.CAPSULE_RADIUS) + COMBAT.WEAPON_REACH;
+
+    const closestY = THREE.MathUtils.clamp(point.y, feet.y, feet.y + height);
+    return Math.hypot(point.x - feet.x, point.y - closestY, point.z - feet.z) <= radius;
+  }
+
+  update(deltaTime) {
+    this.updateSwings(deltaTime);
+    this.updateRespawns(deltaTime);
+  }
+
+  updateSwings(deltaTime) {
+    this.swings.forEach((swing) => {
+      if (swing.cancelled) return;
+
+      swing.elapsed += deltaTime;
+      if (swing.elapsed < swing.start) return;
+
+      swing.attacker.getWeaponPosition(weaponPosition);
+      this.combatants.forEach((entry, target) => {
+        if (swing.hit.has(target) || target.isDead() || !this.isHostile(swing.attacker, target)) return;
+
+        if (this.isWeaponTouching(weaponPosition, target)) {
+          swing.hit.add(target);
+          this.dealDamage(swing.attacker, target, swing.amount, { ability: swing.ability });
+        }
+      });
+    });
+
+    // A frame that skips past the whole window still gets checked once above
+    this.swings = this.swings.filter((swing) => !swing.cancelled && swing.elapsed < swing.end);
+  }
+
+  updateRespawns(deltaTime) {
+    this.combatants.forEach((entry, entity) => {
+      if (entry.respawnTimer === null) return;
+
+      entry.respawnTimer -= deltaTime;
+      if (entry.respawnTimer > 0) return;
+
+      entry.respawnTimer = null;
+      const position = entity.getPosition();
+      const graveyard = findNearestGraveyard(position.x, position.z);
+      entity.respawn(graveyard);
+      this.emit('respawn', { entity, graveyard });
+    });
+  }
+
+  dispose() {
+    this.removeAllListeners();
+    this.combatants.clear();
+    this.swings.length = 0;
+  }
+}
@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+import { EQUIPMENT, ITEMS } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// Items worn by one character, attached to named sockets on its skeleton
+// (EQUIPMENT.SOCKETS). Each slot holds its item in a hand socket while drawn
+// and in a sheath socket (back, hip) while sheathed (EQUIPMENT.SLOTS).
+//
+// An item is { id, name, slot, stats, sockets: { <socket>: { position, rotation, scale } } }
+// with rotation in degrees, see assets/data/items.json. Items without a model
+// (armor) only count towards getStats. The owner provides character (the
+// model), playAnimation and getAnimationDuration.
+//
+// Events: equipped, unequipped, sheathChanged
+export class EquipmentSystem extends EventEmitter {
+  constructor(owner) {
+    super();
+    this.owner = owner;
+    this.sockets = this.findSockets(owner.character);
+
+    // slot -> { item, object }
+    this.equipped = new Map();
+    this.sheathed = false;
+
+    // Sockets change part way through the sheath clip: { sheathed, remaining }
+    this.pendingSheath = null;
+  }
+
+  // Sockets without a matching bone fall back to the model root
+  findSockets(model) {
+    const sockets = new Map();
+    Object.entries(EQUIPMENT.SOCKETS).forEach(([name, boneName]) => {
+      let bone = null;
+      model.traverse((child) => {
+        if (!bone && child.isBone && child.name.endsWith(boneName)) {
+          bone = child;
+        }
+      });
+      if (!bone) {
+        console.warn(`Could not find ${boneName} bone for the ${name} socket`);
+      }
+      sockets.set(name, bone || model);
+    });
+    return sockets;
+  }
+
+  getSocket(name) {
+    return this.sockets.get(name);
+  }
+
+  getItem(slot) {
+    const entry = this.equipped.get(slot);
+    return entry ? entry.item : null;
+  }
+
+  getObject(slot) {
+    const entry = this.equipped.get(slot);
+    return entry ? entry.object : null;
+  }
+
+  // Summed stats of everything equipped, { armor: 20, ... } for ITEMS.STATS
+  getStats() {
+    const stats = Object.fromEntries(ITEMS.STATS.map((stat) => [stat, 0]));
+    this.equipped.forEach(({ item }) => {
+      Object.entries(item.stats || {}).forEach(([stat, value]) => {
+        if (stat in stats) {
+          stats[stat] += value;
+        }
+      });
+    });
+    return stats;
+  }
+
+  // Whether any equipped item has a model to move between sockets
+  hasHeldItems() {
+    return Array.from(this.equipped.values()).some(({ object }) => object);
+  }
+
+  // The main hand item while it is drawn
+  getDrawnWeapon() {
+    return this.sheathed ? null : this.getObject('mainHand');
+  }
+
+  isSheathed() {
+    return this.sheathed;
+  }
+
+  // Socket the slot's item sits in right now
+  getSocketName(slot, item, sheathed = this.sheathed) {
+    const slotConfig = EQUIPMENT.SLOTS[slot];
+    return sheathed ? item.sheathSocket || slotConfig.sheath : slotConfig.socket;
+  }
+
+  attach(object, item, socketName) {
+    const config = (item.sockets && item.sockets[socketName]) || {};
+    const [x, y, z] = config.position || [0, 0, 0];
+    const [rx, ry, rz] = (config.rotation || [0, 0, 0]).map((degrees) => THREE.MathUtils.degToRad(degrees));
+    const scale = config.scale ?? 1;
+
+    this.getSocket(socketName).add(object);
+    object.position.set(x, y, z);
+    object.rotation.set(rx, ry, rz);
+    object.scale.setScalar(scale);
+  }
+
+  // Put object (the item's loaded model, null for armor) in the item's slot,
+  // returns whatever was there before as { item, object } or null
+  equip(item, object = null) {
+    const { slot } = item;
+    if (!EQUIPMENT.SLOTS[slot]) {
+      console.warn(`Item ${item.id} has no equipment slot`);
+      return null;
+    }
+
+    const previous = this.unequip(slot);
+
+    if (object) {
+      object.traverse((child) => {
+        if (child instanceof THREE.Mesh) {
+          child.castShadow = true;
+        }
+      });
+      this.attach(object, item, this.getSocketName(slot, item));
+    }
+    this.equipped.set(slot, { item, object });
+    this.emit('equipped', { slot, item, object });
+    return previous;
+  }
+
+  // Detach the slot's item, returns { item, object } or null if it was empty
+  unequip(slot) {
+    const entry = this.equipped.get(slot);
+    if (!entry) return null;
+
+    if (entry.object) {
+      entry.object.removeFromParent();
+    }
+    this.equipped.delete(slot);
+    this.emit('unequipped', { slot, item: entry.item, object: entry.object });
+    return entry;
+  }
+
+  // Move every item between its hand and sheath sockets
+  setSheathed(sheathed) {
+    this.pendingSheath = null;
+    if (this.sheathed === sheathed) return;
+
+    this.sheathed = sheathed;
+    this.equipped.forEach(({ item, object }, slot) => {
+      if (!object) return;
+      this.attach(object, item, this.getSocketName(slot, item, sheathed));
+    });
+    this.emit('sheathChanged', { sheathed });
+  }
+
+  // Play the sheath clip and move the weapons once the hand gets there.
+  // Returns false if there is nothing to sheathe or the clip can't start.
+  sheathe() {
+    if (this.sheathed || this.pendingSheath || !this.hasHeldItems()) return false;
+    if (!this.owner.playAnimation('SHEATH')) return false;
+
+    const duration = this.owner.getAnimationDuration('SHEATH');
+    this.pendingSheath = { sheathed: true, remaining: duration * EQUIPMENT.SHEATH_SWAP_TIME };
+    return true;
+  }
+
+  // The sheath clip in reverse, or right away with instant (e.g. to attack)
+  unsheathe({ instant = false } = {}) {
+    if (instant) {
+      this.setSheathed(false);
+      return true;
+    }
+    if (!this.sheathed || this.pendingSheath) return false;
+    if (!this.owner.playAnimation('UNSHEATHE')) return false;
+
+    const duration = this.owner.getAnimationDuration('SHEATH');
+    this.pendingSheath = { sheathed: false, remaining: duration * (1 - EQUIPMENT.SHEATH_SWAP_TIME) };
+    return true;
+  }
+
+  toggleSheath() {
+    return this.sheathed ? this.unsheathe() : this.sheathe();
+  }
+
+  update(deltaTime) {
+    if (!this.pendingSheath) return;
+
+    this.pendingSheath.remaining -= deltaTime;
+    if (this.pendingSheath.remaining <= 0) {
+      this.setSheathed(this.pendingSheath.sheathed);
+    }
+  }
+
+  dispose() {
+    Array.from(this.equipped.keys()).forEach((slot) => this.unequip(slot));
+    this.removeAllListeners();
+  }
+}
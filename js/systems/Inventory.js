@@ -0,0 +1,151 @@
+import { INVENTORY } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// The player's bags: a fixed number of slots, each empty (null) or holding
+// { itemId, count } of one item up to its stackSize.
+//
+// Events: changed ({ slots: [index, ...] })
+export class Inventory extends EventEmitter {
+  constructor(database, size = INVENTORY.BAG_SLOTS) {
+    super();
+    this.database = database;
+    this.slots = new Array(size).fill(null);
+  }
+
+  get size() {
+    return this.slots.length;
+  }
+
+  getSlot(index) {
+    return this.slots[index] || null;
+  }
+
+  // The item definition in a slot, null for an empty one
+  getItem(index) {
+    const slot = this.getSlot(index);
+    return slot ? this.database.get(slot.itemId) : null;
+  }
+
+  count(itemId) {
+    return this.slots.reduce((total, slot) => total + (slot && slot.itemId === itemId ? slot.count : 0), 0);
+  }
+
+  getStackSize(itemId) {
+    const item = this.database.get(itemId);
+    return item ? item.stackSize : 1;
+  }
+
+  // How many of an item fit, topping up stacks and filling empty slots
+  getSpaceFor(itemId) {
+    const stackSize = this.getStackSize(itemId);
+    return this.slots.reduce((space, slot) => {
+      if (!slot) return space + stackSize;
+      return slot.itemId === itemId ? space + Math.max(0, stackSize - slot.count) : space;
+    }, 0);
+  }
+
+  // Add count of an item, existing stacks first. Returns how many did not fit.
+  addItem(itemId, count = 1) {
+    if (!this.database.has(itemId)) {
+      console.warn(`Unknown item: ${itemId}`);
+      return count;
+    }
+
+    const stackSize = this.getStackSize(itemId);
+    const changed = [];
+    let remaining = count;
+
+    this.slots.forEach((slot, index) => {
+      if (remaining <= 0 || !slot || slot.itemId !== itemId || slot.count >= stackSize) return;
+
+      const added = Math.min(remaining, stackSize - slot.count);
+      slot.count += added;
+      remaining -= added;
+      changed.push(index);
+    });
+
+    for (let index = 0; index < this.slots.length && remaining > 0; index++) {
+      if (this.slots[index]) continue;
+
+      const added = Math.min(remaining, stackSize);
+      this.slots[index] = { itemId, count: added };
+      remaining -= added;
+      changed.push(index);
+    }
+
+    if (changed.length > 0) {
+      this.emit('changed', { slots: changed });
+    }
+    return remaining;
+  }
+
+  // Take count of an item from wherever it is, last slots first. Returns false
+  // and leaves the bags alone if there aren't that many.
+  removeItem(itemId, count = 1) {
+    if (this.count(itemId) < count) return false;
+
+    const changed = [];
+    let remaining = count;
+    for (let index = this.slots.length - 1; index >= 0 && remaining > 0; index--) {
+      const slot = this.slots[index];
+      if (!slot || slot.itemId !== itemId) continue;
+
+      const removed = Math.min(remaining, slot.count);
+      slot.count -= removed;
+      remaining -= removed;
+      if (slot.count === 0) {
+        this.slots[index] = null;
+      }
+      changed.push(index);
+    }
+
+    this.emit('changed', { slots: changed });
+    return true;
+  }
+
+  // Take up to count from one slot, returns { itemId, count } taken or null
+  removeFromSlot(index, count = Infinity) {
+    const slot = this.getSlot(index);
+    if (!slot) return null;
+
+    const removed = Math.min(count, slot.count);
+    slot.count -= removed;
+    if (slot.count === 0) {
+      this.slots[index] = null;
+    }
+    this.emit('changed', { slots: [index] });
+    return { itemId: slot.itemId, count: removed };
+  }
+
+  // Put { itemId, count } or null in a slot, replacing what was there
+  setSlot(index, contents) {
+    if (index < 0 || index >= this.slots.length) return;
+
+    this.slots[index] = contents ? { itemId: contents.itemId, count: contents.count } : null;
+    this.emit('changed', { slots: [index] });
+  }
+
+  // Drag one slot onto another: merges matching stacks, otherwise swaps
+  moveItem(from, to) {
+    if (from === to || !this.getSlot(from)) return;
+
+    const source = this.slots[from];
+    const destination = this.slots[to];
+    if (destination && destination.itemId === source.itemId) {
+      const moved = Math.min(source.count, this.getStackSize(source.itemId) - destination.count);
+      destination.count += moved;
+      source.count -= moved;
+      if (source.count === 0) {
+        this.slots[from] = null;
+      }
+    } else {
+      this.slots[from] = destination;
+      this.slots[to] = source;
+    }
+    this.emit('changed', { slots: [from, to] });
+  }
+
+  dispose() {
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,39 @@
+// Every item definition by id, loaded from assets/data/items.json.
+//
+// An item is { id, name, quality, slot, stackSize, stats, icon, model, sockets }.
+// Only id is required: quality defaults to common, stackSize to 1 and stats to
+// none. Items with a slot can be equipped (see EquipmentSystem), icon is an
+// image path for the UI and model an FBX in PATHS.WEAPONS for held items.
+export class ItemDatabase {
+  constructor(items = []) {
+    this.items = new Map();
+    items.forEach((item) => this.register(item));
+  }
+
+  register(item) {
+    const registered = {
+      name: item.id,
+      quality: 'common',
+      slot: null,
+      stackSize: 1,
+      stats: {},
+      icon: null,
+      model: null,
+      ...item
+    };
+    this.items.set(item.id, registered);
+    return registered;
+  }
+
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  getAll() {
+    return Array.from(this.items.values());
+  }
+}
@@ -0,0 +1,132 @@
+import { LOOT } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// Rolls a dying combatant's loot table into its corpse and hands the items out
+// to whoever loots it. A loot table is template.loot: [{ item, chance, min, max }]
+// with chance 0-1 (default 1) and a count between min and max (default 1).
+// The corpse's loot goes away once it is emptied, respawns or is removed.
+//
+// Events: lootDropped ({ corpse, items }), lootChanged ({ corpse, items })
+export class LootSystem extends EventEmitter {
+  constructor(combatSystem, database, { random = Math.random } = {}) {
+    super();
+    this.combatSystem = combatSystem;
+    this.database = database;
+    this.random = random;
+
+    // corpse -> [{ itemId, count }]
+    this.corpses = new Map();
+
+    this.unsubscribeDeath = combatSystem.on('death', ({ target }) => this.dropLoot(target));
+  }
+
+  rollLoot(table) {
+    const items = [];
+    table.forEach(({ item, chance = 1, min = 1, max = min }) => {
+      if (!this.database.has(item)) {
+        console.warn(`Loot table: unknown item ${item}`);
+        return;
+      }
+      if (this.random() >= chance) return;
+
+      const count = min + Math.floor(this.random() * (max - min + 1));
+      if (count > 0) {
+        items.push({ itemId: item, count });
+      }
+    });
+    return items;
+  }
+
+  dropLoot(corpse) {
+    const table = corpse.template && corpse.template.loot;
+    if (!table || table.length === 0) return;
+
+    const items = this.rollLoot(table);
+    if (items.length === 0) return;
+
+    this.corpses.set(corpse, items);
+    this.emit('lootDropped', { corpse, items });
+  }
+
+  getLoot(corpse) {
+    return this.corpses.get(corpse) || [];
+  }
+
+  hasLoot(corpse) {
+    return this.corpses.has(corpse);
+  }
+
+  // Nearest corpse with loot within LOOT.RANGE of position on the ground plane
+  findNearestCorpse(position, range = LOOT.RANGE) {
+    let nearest = null;
+    let nearestDistance = range;
+    this.corpses.forEach((items, corpse) => {
+      const corpsePosition = corpse.getPosition();
+      const distance = Math.hypot(corpsePosition.x - position.x, corpsePosition.z - position.z);
+      if (distance <= nearestDistance) {
+        nearest = corpse;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // Move one entry of a corpse's loot into inventory, returns how many were taken.
+  // Whatever doesn't fit in the bags stays on the corpse.
+  takeItem(corpse, index, inventory) {
+    const items = this.corpses.get(corpse);
+    const entry = items && items[index];
+    if (!entry) return 0;
+
+    const leftover = inventory.addItem(entry.itemId, entry.count);
+    const taken = entry.count - leftover;
+    if (taken === 0) return 0;
+
+    entry.count = leftover;
+    if (leftover === 0) {
+      items.splice(index, 1);
+    }
+    this.updateCorpse(corpse);
+    return taken;
+  }
+
+  // Take every entry that fits, returns the number of items taken
+  takeAll(corpse, inventory) {
+    const items = this.corpses.get(corpse);
+    if (!items) return 0;
+
+    let taken = 0;
+    for (let index = items.length - 1; index >= 0; index--) {
+      taken += this.takeItem(corpse, index, inventory);
+    }
+    return taken;
+  }
+
+  updateCorpse(corpse) {
+    const items = this.corpses.get(corpse);
+    if (items.length === 0) {
+      this.corpses.delete(corpse);
+    }
+    this.emit('lootChanged', { corpse, items: items.slice() });
+  }
+
+  clearLoot(corpse) {
+    if (!this.corpses.delete(corpse)) return;
+    this.emit('lootChanged', { corpse, items: [] });
+  }
+
+  // Corpses that got back up or left combat lose their loot
+  update() {
+    this.corpses.forEach((items, corpse) => {
+      if (!corpse.isDead() || !this.combatSystem.combatants.has(corpse)) {
+        this.clearLoot(corpse);
+      }
+    });
+  }
+
+  dispose() {
+    this.unsubscribeDeath();
+    this.corpses.clear();
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,144 @@
+import { COMBAT, MAP } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// What the minimap and the world map show: a top-down texture of the terrain
+// baked once over MAP.WORLD_SIZE, the player's position and heading (from the
+// model transform CharacterController.update writes) and markers (see
+// MAP.MARKERS) for party members, living hostiles, quest givers (entities
+// with questGiver set), points of interest and the player's waypoint.
+//
+// Map coordinates are texture pixels with x along world +x and y along +z.
+//
+// Events: waypointChanged
+export class MapSystem extends EventEmitter {
+  constructor({ terrain, player, combat, getPartyMembers = () => [] }) {
+    super();
+    this.terrain = terrain;
+    this.player = player;
+    this.combat = combat;
+    this.getPartyMembers = getPartyMembers;
+
+    const half = MAP.WORLD_SIZE / 2;
+    this.bounds = { minX: -half, minZ: -half, size: MAP.WORLD_SIZE };
+    this.texture = null;
+    this.waypoint = null;
+
+    this.staticMarkers = new Set();
+    COMBAT.GRAVEYARDS.forEach(({ x, z }) => this.addMarker({ type: 'graveyard', name: 'Graveyard', x, z }));
+    MAP.POINTS_OF_INTEREST.forEach(({ name, x, z }) => this.addMarker({ type: 'poi', name, x, z }));
+  }
+
+  // The baked terrain as a canvas, made on first use
+  getTexture() {
+    if (!this.texture) {
+      this.texture = this.bakeTexture();
+    }
+    return this.texture;
+  }
+
+  bakeTexture() {
+    const resolution = MAP.TEXTURE_SIZE;
+    const { x, y, z } = MAP.SHADE_DIRECTION;
+    const length = Math.hypot(x, y, z);
+    const pixels = this.terrain.bakeMapColors({
+      minX: this.bounds.minX,
+      minZ: this.bounds.minZ,
+      size: this.bounds.size,
+      resolution,
+      light: { x: x / length, y: y / length, z: z / length }
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = resolution;
+    canvas.height = resolution;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(resolution, resolution);
+    image.data.set(pixels);
+    context.putImageData(image, 0, 0);
+    return canvas;
+  }
+
+  worldToMap(x, z) {
+    const scale = MAP.TEXTURE_SIZE / this.bounds.size;
+    return { x: (x - this.bounds.minX) * scale, y: (z - this.bounds.minZ) * scale };
+  }
+
+  mapToWorld(x, y) {
+    const scale = this.bounds.size / MAP.TEXTURE_SIZE;
+    return { x: this.bounds.minX + x * scale, z: this.bounds.minZ + y * scale };
+  }
+
+  // Ground position and facing of the player model, rotation 0 faces +z
+  getPlayerPose() {
+    const { position, rotation } = this.player.character;
+    return { x: position.x, z: position.z, rotation: rotation.y };
+  }
+
+  // A fixed marker { type, name, x, z }, returns a function removing it
+  addMarker(marker) {
+    this.staticMarkers.add(marker);
+    return () => this.staticMarkers.delete(marker);
+  }
+
+  getMarkerType(entity) {
+    if (entity.questGiver) return 'questGiver';
+    if (entity.isDead() || !this.combat.isHostile(this.player, entity)) return null;
+    return 'mob';
+  }
+
+  // Everything but the player as { type, name, x, z }, drawn in this order
+  getMarkers() {
+    const markers = Array.from(this.staticMarkers);
+
+    this.combat.combatants.forEach((state, entity) => {
+      if (entity === this.player || !entity.character) return;
+
+      const type = this.getMarkerType(entity);
+      if (type) {
+        const { x, z } = entity.character.position;
+        markers.push({ type, name: entity.name, x, z });
+      }
+    });
+
+    this.getPartyMembers().forEach((member) => {
+      const { x, z } = member.character.position;
+      markers.push({ type: 'party', name: member.name, x, z });
+    });
+
+    if (this.waypoint) {
+      markers.push({ type: 'waypoint', name: 'Waypoint', ...this.waypoint });
+    }
+    return markers;
+  }
+
+  getWaypoint() {
+    return this.waypoint;
+  }
+
+  setWaypoint(x, z) {
+    this.waypoint = { x, z };
+    this.emit('waypointChanged', { waypoint: this.waypoint });
+  }
+
+  clearWaypoint() {
+    if (!this.waypoint) return;
+
+    this.waypoint = null;
+    this.emit('waypointChanged', { waypoint: null });
+  }
+
+  // Clear the waypoint once the player gets there
+  update() {
+    if (!this.waypoint) return;
+
+    const { x, z } = this.getPlayerPose();
+    if (Math.hypot(this.waypoint.x - x, this.waypoint.z - z) <= MAP.WAYPOINT_REACHED_DISTANCE) {
+      this.clearWaypoint();
+    }
+  }
+
+  dispose() {
+    this.staticMarkers.clear();
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,224 @@
+import * as THREE from 'three';
+import { PHYSICS, TARGETING } from '../core/Constants.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// The local player's current target. TARGET_CYCLE cycles through living hostiles in
+// front of the camera, nearest first; a left click selects whatever entity is
+// under the cursor and clears the target on empty ground. A ring on the ground
+// marks the selection.
+//
+// Selectable entities are the combatants registered with the CombatSystem that
+// have a `character` model: mobs and other players.
+//
+// Events: targetChanged
+export class TargetingSystem extends EventEmitter {
+  constructor({ camera, domElement, scene, terrain, combat, owner, input }) {
+    super();
+    this.input = input;
+    this.camera = camera;
+    this.domElement = domElement;
+    this.scene = scene;
+    this.terrain = terrain;
+    this.combat = combat;
+    this.owner = owner;
+
+    this.target = null;
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.pointerDown = null;
+    this.frustum = new THREE.Frustum();
+    this.projectionMatrix = new THREE.Matrix4();
+
+    this.createSelectionRing();
+    this.setupControls();
+  }
+
+  createSelectionRing() {
+    const geometry = new THREE.RingGeometry(0.85, 1, TARGETING.RING_SEGMENTS);
+    geometry.rotateX(-Math.PI / 2);
+
+    this.ringMaterial = new THREE.MeshBasicMaterial({
+      color: TARGETING.HOSTILE_COLOR,
+      transparent: true,
+      opacity: 0.85,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -4
+    });
+
+    this.ring = new THREE.Mesh(geometry, this.ringMaterial);
+    this.ring.name = 'SelectionRing';
+    this.ring.renderOrder = 1;
+    this.ring.visible = false;
+    this.scene.add(this.ring);
+  }
+
+  setupControls() {
+    this.unsubscribeInput = this.input.on('actionDown', (action) => {
+      if (action === 'TARGET_CYCLE') {
+        this.cycleTarget();
+      } else if (action === 'TARGET_CLEAR') {
+        this.clearTarget();
+      }
+    });
+
+    // Only a press and release in about the same spot is a click, anything
+    // else is a camera drag
+    this.onPointerDown = (event) => {
+      if (event.button === 0) {
+        this.pointerDown = { x: event.clientX, y: event.clientY };
+      }
+    };
+    this.onPointerUp = (event) => {
+      if (event.button !== 0 || !this.pointerDown) return;
+
+      const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+      this.pointerDown = null;
+      if (moved <= TARGETING.CLICK_TOLERANCE) {
+        this.selectAtPointer(event);
+      }
+    };
+
+    this.domElement.addEventListener('pointerdown', this.onPointerDown);
+    this.domElement.addEventListener('pointerup', this.onPointerUp);
+  }
+
+  getTarget() {
+    return this.target;
+  }
+
+  setTarget(entity) {
+    if (entity === this.target) return;
+
+    const previous = this.target;
+    this.target = entity;
+    this.ring.visible = entity !== null;
+    this.emit('targetChanged', { target: entity, previous });
+  }
+
+  clearTarget() {
+    this.setTarget(null);
+  }
+
+  isHostile(entity) {
+    return this.combat.isHostile(this.owner, entity);
+  }
+
+  getEntities() {
+    return Array.from(this.combat.combatants.keys())
+      .filter((entity) => entity !== this.owner && entity.character);
+  }
+
+  // Living hostiles in front of the camera within MAX_DISTANCE, nearest first
+  getTabCandidates() {
+    this.camera.updateMatrixWorld();
+    this.projectionMatrix.multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+    this.frustum.setFromProjectionMatrix(this.projectionMatrix);
+
+    const ownerPosition = this.owner.getPosition();
+    const center = new THREE.Vector3();
+
+    return this.getEntities()
+      .filter((entity) => !entity.isDead() && this.isHostile(entity))
+      .map((entity) => ({ entity, distance: entity.getPosition().distanceTo(ownerPosition) }))
+      .filter(({ entity, distance }) => {
+        if (distance > TARGETING.MAX_DISTANCE) return false;
+
+        // Test the middle of the body so targets standing on a slope still count
+        center.copy(entity.getPosition());
+        center.y += (entity.hitHeight ?? PHYSICS.CAPSULE_HEIGHT) / 2;
+        return this.frustum.containsPoint(center);
+      })
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ entity }) => entity);
+  }
+
+  // Next candidate after the current target, wrapping around to the nearest
+  cycleTarget() {
+    const candidates = this.getTabCandidates();
+    if (candidates.length === 0) return null;
+
+    const index = candidates.indexOf(this.target);
+    this.setTarget(candidates[(index + 1) % candidates.length]);
+    return this.target;
+  }
+
+  selectAtPointer(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    const entities = this.getEntities();
+    const models = entities.map((entity) => entity.character);
+
+    // Skinned bounds are computed from the current pose, refresh them so the
+    // ray is tested against where the limbs are right now
+    models.forEach((model) => model.traverse((child) => {
+      if (child.isSkinnedMesh) {
+        child.computeBoundingSphere();
+      }
+    }));
+
+    const intersections = this.raycaster.intersectObjects(models, true);
+    for (const intersection of intersections) {
+      const entity = this.findEntity(intersection.object, entities);
+      if (entity) {
+        this.setTarget(entity);
+        return entity;
+      }
+    }
+
+    this.clearTarget();
+    return null;
+  }
+
+  // Walk up from a hit mesh to the entity whose model contains it
+  findEntity(object, entities) {
+    for (let current = object; current; current = current.parent) {
+      const entity = entities.find((candidate) => candidate.character === current);
+      if (entity) return entity;
+    }
+    return null;
+  }
+
+  // Keep the ring under the target, tilted to the slope it stands on
+  update() {
+    if (!this.target) return;
+
+    if (!this.combat.combatants.has(this.target)) {
+      this.clearTarget();
+      return;
+    }
+
+    const position = this.target.getPosition();
+    this.ring.position.set(position.x, position.y + TARGETING.RING_OFFSET, position.z);
+    if (this.terrain) {
+      this.ring.quaternion.setFromUnitVectors(UP, this.terrain.getNormalAt(position.x, position.z));
+    }
+
+    const radius = (this.target.hitRadius ?? PHYSICS.CAPSULE_RADIUS) * TARGETING.RING_SCALE;
+    this.ring.scale.setScalar(radius);
+
+    let color = this.isHostile(this.target) ? TARGETING.HOSTILE_COLOR : TARGETING.FRIENDLY_COLOR;
+    if (this.target.isDead()) {
+      color = TARGETING.DEAD_COLOR;
+    }
+    this.ringMaterial.color.setHex(color);
+  }
+
+  dispose() {
+    this.unsubscribeInput();
+    this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+    this.domElement.removeEventListener('pointerup', this.onPointerUp);
+    this.removeAllListeners();
+
+    this.scene.remove(this.ring);
+    this.ring.geometry.dispose();
+    this.ringMaterial.dispose();
+  }
+}
@@ -0,0 +1,73 @@
+import { THREAT } from '../core/Constants.js';
+
+// Feeds the threat tables of every combatant that has one (see MobController)
+// from combat events: damage dealt to a mob, healing done to anyone a mob is
+// fighting, and taunt effects from abilities. Dead combatants are dropped from
+// every table.
+export class ThreatSystem {
+  constructor(combatSystem) {
+    this.combatSystem = combatSystem;
+    this.unsubscribers = [
+      combatSystem.on('damage', (event) => this.onDamage(event)),
+      combatSystem.on('death', ({ target }) => this.removeFromAll(target))
+    ];
+  }
+
+  // Combatants with a threat table that are alive and not running home
+  getThreatHolders() {
+    const holders = [];
+    this.combatSystem.combatants.forEach((entry, entity) => {
+      if (entity.threat && !entity.isDead() && !entity.isEvading()) {
+        holders.push(entity);
+      }
+    });
+    return holders;
+  }
+
+  onDamage({ attacker, target, ability, amount }) {
+    if (!attacker || !target.threat || target.isDead()) return;
+
+    const multiplier = ability && ability.threatMultiplier !== undefined ? ability.threatMultiplier : 1;
+    target.threat.addThreat(attacker, amount * multiplier);
+  }
+
+  // Listen to an entity's health changes so heals on it generate threat for the healer
+  trackHealing(entity) {
+    this.unsubscribers.push(entity.on('healthChanged', (event) => this.onHealthChanged(event)));
+  }
+
+  // Heal threat is split between every mob fighting the healed entity
+  onHealthChanged({ entity, health, previous, source }) {
+    const healed = health - previous;
+    if (healed <= 0 || !source) return;
+
+    const holders = this.getThreatHolders().filter((holder) => holder.threat.has(entity));
+    if (holders.length === 0) return;
+
+    const threat = (healed * THREAT.HEAL_MULTIPLIER) / holders.length;
+    holders.forEach((holder) => holder.threat.addThreat(source, threat));
+  }
+
+  // Route an ability system's 'taunt' effects to the target's threat table
+  attachAbilitySystem(abilitySystem) {
+    abilitySystem.registerEffectHandler('taunt', (effect, { caster, target }) => {
+      if (target && target.threat && !target.isDead() && this.combatSystem.isHostile(caster, target)) {
+        target.threat.applyTaunt(caster, effect.duration);
+        target.engage(caster);
+      }
+    });
+  }
+
+  removeFromAll(entity) {
+    this.combatSystem.combatants.forEach((entry, holder) => {
+      if (holder.threat) {
+        holder.threat.remove(entity);
+      }
+    });
+  }
+
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers.length = 0;
+  }
+}
@@ -0,0 +1,94 @@
+import { THREAT } from '../core/Constants.js';
+
+// One mob's threat list. Entities gain threat from damage, healing and taunts;
+// the mob attacks the top of the list but only switches away from its current
+// target once someone else passes 110% of its threat in melee range, or 130%
+// from further away.
+export class ThreatTable {
+  constructor() {
+    // entity -> threat
+    this.entries = new Map();
+    this.taunt = null;
+  }
+
+  addThreat(entity, amount) {
+    this.entries.set(entity, Math.max(0, (this.entries.get(entity) || 0) + amount));
+  }
+
+  getThreat(entity) {
+    return this.entries.get(entity) || 0;
+  }
+
+  has(entity) {
+    return this.entries.has(entity);
+  }
+
+  remove(entity) {
+    this.entries.delete(entity);
+    if (this.taunt && this.taunt.entity === entity) {
+      this.taunt = null;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.taunt = null;
+  }
+
+  isEmpty() {
+    return this.entries.size === 0;
+  }
+
+  // [{ entity, threat }], highest threat first
+  getSortedList() {
+    return Array.from(this.entries, ([entity, threat]) => ({ entity, threat }))
+      .sort((a, b) => b.threat - a.threat);
+  }
+
+  getTopTarget() {
+    const [top] = this.getSortedList();
+    return top ? top.entity : null;
+  }
+
+  // Jump to the top of the list and hold the mob's attention for duration
+  applyTaunt(entity, duration = THREAT.TAUNT_DURATION) {
+    const [top] = this.getSortedList();
+    this.entries.set(entity, Math.max(this.getThreat(entity), top ? top.threat : 0));
+    this.taunt = { entity, remaining: duration };
+  }
+
+  update(deltaTime) {
+    if (!this.taunt) return;
+
+    this.taunt.remaining -= deltaTime;
+    if (this.taunt.remaining <= 0) {
+      this.taunt = null;
+    }
+  }
+
+  // Dead entities drop off the list
+  prune() {
+    this.entries.forEach((threat, entity) => {
+      if (entity.isDead()) {
+        this.remove(entity);
+      }
+    });
+  }
+
+  // Who the mob should attack given its current target, null when the list is empty
+  selectTarget(currentTarget, isInMeleeRange) {
+    this.prune();
+    if (this.taunt) return this.taunt.entity;
+
+    const list = this.getSortedList();
+    if (list.length === 0) return null;
+    if (!currentTarget || !this.entries.has(currentTarget)) return list[0].entity;
+
+    const currentThreat = this.getThreat(currentTarget);
+    const challenger = list.find(({ entity }) => entity !== currentTarget);
+    if (!challenger) return currentTarget;
+
+    const threshold = isInMeleeRange(challenger.entity) ? THREAT.MELEE_SWITCH : THREAT.RANGED_SWITCH;
+    return challenger.threat > currentThreat * threshold ? challenger.entity : currentTarget;
+  }
+}
@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+import { WORLD_TIME } from '../core/Constants.js';
+import { SkyShader } from '../shaders/SkyShader.js';
+import { updateLighting } from '../lighting.js';
+
+// Day/night cycle. Keeps the clock, moves the sun, and drives the sky dome
+// and the lighting rig from lighting.js every frame.
+export class WorldTime {
+  constructor(scene, lights, options = {}) {
+    this.scene = scene;
+    this.lights = lights;
+
+    // Seconds of real time for a full 24 hour day
+    this.dayLength = options.dayLength || WORLD_TIME.DAY_LENGTH;
+    this.timeScale = 1;
+    this.elapsedTime = 0;
+
+    // Fraction of the day, 0 is midnight and 0.5 is noon
+    this.timeOfDay = 0;
+    this.setTime(options.startHour ?? WORLD_TIME.START_HOUR);
+
+    this.sunPosition = new THREE.Vector3();
+    this.sunDirection = new THREE.Vector3();
+
+    this.setupSky();
+    this.updateSunPosition();
+  }
+
+  setupSky() {
+    this.skyShader = new SkyShader();
+    this.skyShader.material.depthWrite = false;
+
+    this.skyDome = new THREE.Mesh(
+      new THREE.SphereGeometry(WORLD_TIME.SKY_RADIUS, 32, 16),
+      this.skyShader.material
+    );
+    this.skyDome.name = 'SkyDome';
+    this.skyDome.frustumCulled = false;
+    this.skyDome.renderOrder = -1;
+    this.scene.add(this.skyDome);
+  }
+
+  // Set the clock, in hours (0-24)
+  setTime(hours) {
+    this.timeOfDay = THREE.MathUtils.euclideanModulo(hours / 24, 1);
+  }
+
+  getHours() {
+    return this.timeOfDay * 24;
+  }
+
+  // "HH:MM" for UI
+  getTimeString() {
+    const totalMinutes = Math.floor(this.timeOfDay * 24 * 60);
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}`;
+  }
+
+  setDayLength(seconds) {
+    this.dayLength = Math.max(1, seconds);
+  }
+
+  isNight() {
+    return this.sunPosition.y < 0;
+  }
+
+  // The sun rises in the east (+x) at 6:00, peaks at noon and sets at 18:00,
+  // tilted towards +z so it never passes straight overhead
+  updateSunPosition() {
+    const angle = (this.timeOfDay - 0.25) * Math.PI * 2;
+    this.sunDirection.set(
+      Math.cos(angle),
+      Math.sin(angle),
+      WORLD_TIME.SUN_TILT
+    ).normalize();
+    this.sunPosition.copy(this.sunDirection).multiplyScalar(WORLD_TIME.SUN_DISTANCE);
+
+    this.skyShader.updateSunPosition(this.sunPosition);
+  }
+
+  // focus is where shadows are needed, usually the local player
+  update(deltaTime, camera, focus) {
+    this.elapsedTime += deltaTime;
+    this.timeOfDay = THREE.MathUtils.euclideanModulo(
+      this.timeOfDay + (deltaTime * this.timeScale) / this.dayLength,
+      1
+    );
+
+    this.updateSunPosition();
+    this.skyShader.updateTime(this.elapsedTime);
+    this.skyDome.position.copy(camera.position);
+
+    updateLighting(this.lights, this.sunPosition, this.timeOfDay);
+
+    // The sun light itself sits closer than the sky sun so the shadow camera
+    // covers the area around the focus point
+    if (focus) {
+      this.lights.sun.position
+        .copy(this.sunDirection)
+        .multiplyScalar(WORLD_TIME.SHADOW_DISTANCE)
+        .add(focus);
+      this.lights.sunTarget.position.copy(focus);
+    }
+  }
+
+  dispose() {
+    this.scene.remove(this.skyDome);
+    this.skyDome.geometry.dispose();
+    this.skyShader.material.dispose();
+  }
+}
@@ -0,0 +1,25 @@
+// Square icon for an ability. Abilities with an icon image show it, the rest
+// show their initials.
+export function createAbilityIcon(ability, size) {
+  const icon = document.createElement('div');
+  icon.title = ability.name;
+  icon.style.cssText = `
+    width: ${size}px;
+    height: ${size}px;
+    box-sizing: border-box;
+    border: 1px solid #8a7b4a;
+    border-radius: 3px;
+    background: #3a2f1c center / cover no-repeat;
+    font-size: ${Math.round(size / 3)}px;
+    line-height: ${size - 2}px;
+    text-align: center;
+    color: #ffd100;
+  `;
+
+  if (ability.icon) {
+    icon.style.backgroundImage = `url(${ability.icon})`;
+  } else {
+    icon.textContent = ability.name.split(' ').map((word) => word[0]).join('').slice(0, 2).toUpperCase();
+  }
+  return icon;
+}
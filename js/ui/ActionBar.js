@@ -0,0 +1,240 @@
+import { ACTION_BAR } from '../core/Constants.js';
+import { createAbilityIcon } from './AbilityIcon.js';
+
+// Drag data type for abilities moved onto or between slots
+export const ABILITY_DRAG_TYPE = 'application/x-ability';
+
+// Row of ACTION_BAR.SLOTS ability slots. A slot fires on its ACTION_BAR_<n>
+// binding or a click, through onActivate(abilityId), and shows the binding's
+// label, a cooldown sweep and a tint when the target is out of range (red) or
+// there is not enough resource (blue).
+//
+// Abilities are dragged in from the spellbook or between slots, dragging one
+// off the bar clears its slot. The layout is saved to localStorage.
+export class ActionBar {
+  constructor({ input, abilities, player, onActivate }, container = document.body) {
+    this.input = input;
+    this.abilities = abilities;
+    this.player = player;
+    this.onActivate = onActivate;
+    this.slots = this.loadLayout();
+
+    this.createElements(container);
+    this.refresh();
+    this.unsubscribers = [
+      input.on('actionDown', (action) => {
+        const match = action.match(/^ACTION_BAR_(\d+)$/);
+        if (match) this.activate(Number(match[1]) - 1);
+      }),
+      input.on('bindingsChanged', () => this.refreshLabels())
+    ];
+  }
+
+  loadLayout() {
+    const layout = Array.from({ length: ACTION_BAR.SLOTS }, (_, index) => ACTION_BAR.DEFAULT_LAYOUT[index] || null);
+    try {
+      const saved = JSON.parse(localStorage.getItem(ACTION_BAR.STORAGE_KEY) || 'null');
+      if (Array.isArray(saved)) {
+        return layout.map((_, index) => saved[index] || null);
+      }
+    } catch (error) {
+      console.warn('Could not load the saved action bar, using defaults:', error);
+    }
+    return layout;
+  }
+
+  saveLayout() {
+    try {
+      localStorage.setItem(ACTION_BAR.STORAGE_KEY, JSON.stringify(this.slots));
+    } catch (error) {
+      console.warn('Could not save the action bar:', error);
+    }
+  }
+
+  createElements(container) {
+    this.element = document.createElement('div');
+    this.element.id = 'action-bar';
+    this.element.style.cssText = `
+      position: absolute;
+      bottom: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      gap: 4px;
+      padding: 4px;
+      background: rgba(0, 0, 0, 0.6);
+      border: 1px solid #8a7b4a;
+      border-radius: 4px;
+      pointer-events: auto;
+    `;
+
+    this.slotElements = this.slots.map((abilityId, index) => this.createSlot(index));
+    this.slotElements.forEach(({ element }) => this.element.appendChild(element));
+    container.appendChild(this.element);
+  }
+
+  createSlot(index) {
+    const size = ACTION_BAR.SLOT_SIZE;
+    const element = document.createElement('div');
+    element.style.cssText = `
+      position: relative;
+      width: ${size}px;
+      height: ${size}px;
+      background: #111;
+      border: 1px solid #333;
+      border-radius: 3px;
+      cursor: pointer;
+      overflow: hidden;
+    `;
+
+    const iconHolder = document.createElement('div');
+
+    // Shaded part of the clock wipe, set as a conic gradient in update
+    const sweep = document.createElement('div');
+    sweep.style.cssText = `
+      position: absolute;
+      inset: 0;
+      pointer-events: none;
+    `;
+
+    const tint = document.createElement('div');
+    tint.style.cssText = `
+      position: absolute;
+      inset: 0;
+      pointer-events: none;
+    `;
+
+    const cooldownText = document.createElement('span');
+    cooldownText.style.cssText = `
+      position: absolute;
+      inset: 0;
+      font-size: 16px;
+      line-height: ${size}px;
+      text-align: center;
+      text-shadow: 1px 1px 2px #000;
+      pointer-events: none;
+    `;
+
+    const keyLabel = document.createElement('span');
+    keyLabel.style.cssText = `
+      position: absolute;
+      top: 1px;
+      right: 3px;
+      font-size: 11px;
+      color: #ddd;
+      text-shadow: 1px 1px 1px #000;
+      pointer-events: none;
+    `;
+
+    element.appendChild(iconHolder);
+    element.appendChild(sweep);
+    element.appendChild(tint);
+    element.appendChild(cooldownText);
+    element.appendChild(keyLabel);
+
+    element.addEventListener('click', () => this.activate(index));
+    element.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData(ABILITY_DRAG_TYPE, JSON.stringify({ abilityId: this.slots[index], fromSlot: index }));
+      event.dataTransfer.effectAllowed = 'move';
+    });
+    // Dropped anywhere but another slot takes the ability off the bar
+    element.addEventListener('dragend', (event) => {
+      if (event.dataTransfer.dropEffect === 'none') this.setSlot(index, null);
+    });
+    element.addEventListener('dragover', (event) => {
+      if (event.dataTransfer.types.includes(ABILITY_DRAG_TYPE)) event.preventDefault();
+    });
+    element.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const { abilityId, fromSlot = null } = JSON.parse(event.dataTransfer.getData(ABILITY_DRAG_TYPE));
+      if (fromSlot !== null) {
+        this.swapSlots(fromSlot, index);
+      } else {
+        this.setSlot(index, abilityId);
+      }
+    });
+
+    return { element, iconHolder, sweep, tint, cooldownText, keyLabel };
+  }
+
+  getAbility(index) {
+    const id = this.slots[index];
+    return id ? this.abilities.getAbility(id) || null : null;
+  }
+
+  setSlot(index, abilityId) {
+    this.slots[index] = abilityId;
+    this.saveLayout();
+    this.refresh();
+  }
+
+  swapSlots(from, to) {
+    [this.slots[from], this.slots[to]] = [this.slots[to], this.slots[from]];
+    this.saveLayout();
+    this.refresh();
+  }
+
+  activate(index) {
+    const ability = this.getAbility(index);
+    if (ability) {
+      this.onActivate(ability.id);
+    }
+  }
+
+  // Rebuild the icons after the layout changed
+  refresh() {
+    this.slotElements.forEach(({ element, iconHolder }, index) => {
+      const ability = this.getAbility(index);
+      iconHolder.replaceChildren();
+      element.draggable = Boolean(ability);
+      if (ability) {
+        iconHolder.appendChild(createAbilityIcon(ability, ACTION_BAR.SLOT_SIZE - 2));
+      }
+    });
+    this.refreshLabels();
+  }
+
+  refreshLabels() {
+    this.slotElements.forEach(({ keyLabel }, index) => {
+      keyLabel.textContent = this.input.getBindingLabel(`ACTION_BAR_${index + 1}`);
+    });
+  }
+
+  // Cooldowns and usability change every frame
+  update() {
+    const target = this.player.getTarget();
+
+    this.slotElements.forEach(({ sweep, tint, cooldownText }, index) => {
+      const ability = this.getAbility(index);
+      if (!ability) {
+        sweep.style.background = 'none';
+        tint.style.background = 'none';
+        cooldownText.textContent = '';
+        return;
+      }
+
+      const progress = this.abilities.getCooldownProgress(ability.id);
+      sweep.style.background = progress > 0
+        ? `conic-gradient(rgba(0, 0, 0, 0.7) ${progress * 360}deg, transparent 0)`
+        : 'none';
+
+      const remaining = this.abilities.getCooldownRemaining(ability.id);
+      cooldownText.textContent = ability.cooldown >= ACTION_BAR.COOLDOWN_TEXT_MIN && remaining > 0
+        ? Math.ceil(remaining)
+        : '';
+
+      if (ability.range && target && !this.abilities.isInRange(ability, target)) {
+        tint.style.background = 'rgba(200, 30, 30, 0.45)';
+      } else if (!this.abilities.hasResource(ability)) {
+        tint.style.background = 'rgba(40, 70, 220, 0.45)';
+      } else {
+        tint.style.background = 'none';
+      }
+    });
+  }
+
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.element.remove();
+  }
+}
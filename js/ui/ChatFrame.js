@@ -0,0 +1,205 @@
+import { CHAT } from '../core/Constants.js';
+import { CHAT_CHANNEL } from '../core/Chat.js';
+
+// Bottom left chat window with one tab per CHAT.TABS entry, each showing the
+// messages of its channels. OPEN_CHAT focuses the input box, OPEN_CHAT_COMMAND
+// focuses it with a '/' typed. Enter sends, Escape closes the box.
+//
+// Keys typed into the box never reach the InputManager (it skips text
+// fields), and every held key is released when the box opens so the
+// character stops moving.
+export class ChatFrame {
+  constructor({ chat, input }, container = document.body) {
+    this.chat = chat;
+    this.input = input;
+    this.activeTab = 0;
+
+    this.createElements(container);
+    this.unsubscribers = [
+      chat.on('message', (message) => this.onMessage(message)),
+      chat.on('channelChanged', () => this.refreshPrompt()),
+      input.on('actionDown', (action) => {
+        if (action === 'OPEN_CHAT') this.open();
+        if (action === 'OPEN_CHAT_COMMAND') this.open('/');
+      })
+    ];
+    this.selectTab(0);
+  }
+
+  createElements(container) {
+    this.element = document.createElement('div');
+    this.element.id = 'chat-frame';
+    this.element.style.cssText = `
+      position: absolute;
+      left: 20px;
+      bottom: 90px;
+      width: 380px;
+      font-size: 13px;
+      pointer-events: auto;
+    `;
+
+    const tabBar = document.createElement('div');
+    tabBar.style.display = 'flex';
+    this.tabElements = CHAT.TABS.map((tab, index) => {
+      const tabElement = document.createElement('div');
+      tabElement.textContent = tab.name;
+      tabElement.style.cssText = `
+        padding: 2px 10px;
+        margin-right: 2px;
+        background: rgba(0, 0, 0, 0.6);
+        border-radius: 4px 4px 0 0;
+        cursor: pointer;
+      `;
+      tabElement.addEventListener('click', () => this.selectTab(index));
+      tabBar.appendChild(tabElement);
+      return tabElement;
+    });
+
+    this.logElement = document.createElement('div');
+    this.logElement.style.cssText = `
+      height: 180px;
+      padding: 4px 6px;
+      overflow-y: auto;
+      background: rgba(0, 0, 0, 0.4);
+      line-height: 16px;
+      text-shadow: 1px 1px 1px #000;
+      word-wrap: break-word;
+    `;
+
+    const inputRow = document.createElement('div');
+    inputRow.style.cssText = `
+      display: none;
+      align-items: center;
+      background: rgba(0, 0, 0, 0.75);
+      border: 1px solid #8a7b4a;
+    `;
+    this.promptElement = document.createElement('span');
+    this.promptElement.style.cssText = `
+      padding: 0 4px 0 6px;
+      white-space: nowrap;
+    `;
+    this.inputElement = document.createElement('input');
+    this.inputElement.type = 'text';
+    this.inputElement.maxLength = CHAT.MAX_LENGTH;
+    this.inputElement.style.cssText = `
+      flex: 1;
+      padding: 4px;
+      background: transparent;
+      border: none;
+      outline: none;
+      color: white;
+      font-size: 13px;
+    `;
+    this.inputElement.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        const text = this.inputElement.value;
+        this.close();
+        this.chat.submit(text);
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        this.close();
+      }
+    });
+    this.inputElement.addEventListener('blur', () => this.close());
+    inputRow.appendChild(this.promptElement);
+    inputRow.appendChild(this.inputElement);
+    this.inputRow = inputRow;
+
+    this.element.appendChild(tabBar);
+    this.element.appendChild(this.logElement);
+    this.element.appendChild(inputRow);
+    container.appendChild(this.element);
+  }
+
+  selectTab(index) {
+    this.activeTab = index;
+    this.tabElements.forEach((tabElement, tabIndex) => {
+      tabElement.style.color = tabIndex === index ? '#ffd100' : '#aaa';
+    });
+
+    const { channels } = CHAT.TABS[index];
+    this.logElement.replaceChildren(...this.chat.messages
+      .filter((message) => channels.includes(message.channel))
+      .map((message) => this.createLine(message)));
+    this.logElement.scrollTop = this.logElement.scrollHeight;
+  }
+
+  onMessage(message) {
+    if (!CHAT.TABS[this.activeTab].channels.includes(message.channel)) return;
+
+    // Only follow new messages if the log was already scrolled to the bottom
+    const log = this.logElement;
+    const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 4;
+    log.appendChild(this.createLine(message));
+    while (log.childElementCount > CHAT.HISTORY) {
+      log.firstElementChild.remove();
+    }
+    if (atBottom) {
+      log.scrollTop = log.scrollHeight;
+    }
+  }
+
+  createLine(message) {
+    const line = document.createElement('div');
+    line.textContent = this.formatMessage(message);
+    line.style.color = CHAT.COLORS[message.channel] || CHAT.COLORS.say;
+    return line;
+  }
+
+  formatMessage({ channel, text, from, to }) {
+    const name = from ? from.name : '';
+    switch (channel) {
+      case CHAT_CHANNEL.SAY:
+        return `[${name}] says: ${text}`;
+      case CHAT_CHANNEL.YELL:
+        return `[${name}] yells: ${text}`;
+      case CHAT_CHANNEL.WHISPER:
+        return this.chat.isOwnMessage({ from }) && to
+          ? `To [${to.name}]: ${text}`
+          : `[${name}] whispers: ${text}`;
+      case CHAT_CHANNEL.PARTY:
+        return `[Party] [${name}]: ${text}`;
+      case CHAT_CHANNEL.GENERAL:
+        return `[General] [${name}]: ${text}`;
+      case CHAT_CHANNEL.EMOTE:
+        return `${name} ${text}`;
+      default:
+        return text;
+    }
+  }
+
+  refreshPrompt() {
+    const channel = this.chat.channel;
+    this.promptElement.textContent = `${channel.charAt(0).toUpperCase()}${channel.slice(1)}:`;
+    this.promptElement.style.color = CHAT.COLORS[channel];
+  }
+
+  isOpen() {
+    return this.inputRow.style.display !== 'none';
+  }
+
+  open(text = '') {
+    if (this.isOpen()) return;
+
+    // Keys held down now would otherwise stay pressed until typed again
+    this.input.releaseAll();
+    this.refreshPrompt();
+    this.inputRow.style.display = 'flex';
+    this.inputElement.value = text;
+    this.inputElement.focus();
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+
+    this.inputRow.style.display = 'none';
+    this.inputElement.value = '';
+    this.inputElement.blur();
+  }
+
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.element.remove();
+  }
+}
@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+import { COMBAT_TEXT } from '../core/Constants.js';
+import { getHeadPosition, projectToScreen } from './WorldAnchor.js';
+
+const screenPosition = new THREE.Vector3();
+
+// Damage, crit, miss, block and heal numbers that rise and fade above the
+// character they happened to. Hits come from the CombatSystem's damage
+// events, heals from the healthChanged events of tracked entities.
+//
+// Texts keep the world point they started at and are projected again every
+// frame. Their elements come from a fixed pool.
+export class CombatText {
+  constructor({ combat, camera, player }, container = document.body) {
+    this.camera = camera;
+    this.player = player;
+    this.domElement = container;
+
+    this.pool = [];
+    this.active = [];
+    for (let index = 0; index < COMBAT_TEXT.POOL_SIZE; index++) {
+      const element = document.createElement('div');
+      element.style.cssText = `
+        position: absolute;
+        left: 0;
+        top: 0;
+        font-weight: bold;
+        white-space: nowrap;
+        text-shadow: 1px 1px 2px #000, -1px -1px 2px #000;
+        display: none;
+        will-change: transform, opacity;
+      `;
+      container.appendChild(element);
+      this.pool.push(element);
+    }
+
+    this.unsubscribers = [
+      combat.on('damage', (event) => this.onDamage(event))
+    ];
+  }
+
+  // Show heals done to entity
+  track(entity) {
+    this.unsubscribers.push(entity.on('healthChanged', ({ health, previous, source }) => {
+      if (source && health > previous) {
+        this.show(entity, `+${Math.round(health - previous)}`, COMBAT_TEXT.COLORS.heal);
+      }
+    }));
+  }
+
+  onDamage({ target, amount, crit, blocked, missed }) {
+    if (missed) {
+      this.show(target, 'Miss', COMBAT_TEXT.COLORS.miss);
+      return;
+    }
+
+    let color = target === this.player ? COMBAT_TEXT.COLORS.incoming : COMBAT_TEXT.COLORS.damage;
+    if (crit && target !== this.player) {
+      color = COMBAT_TEXT.COLORS.crit;
+    }
+    const text = `${crit ? `${amount}!` : amount}${blocked ? ' (Blocked)' : ''}`;
+    this.show(target, text, color, { crit });
+  }
+
+  show(entity, text, color, { crit = false } = {}) {
+    // Out of free elements, take over the oldest text
+    if (this.pool.length === 0) {
+      this.release(this.active.shift());
+    }
+
+    const element = this.pool.pop();
+    element.textContent = text;
+    element.style.color = color;
+    element.style.fontSize = `${COMBAT_TEXT.FONT_SIZE}px`;
+    element.style.display = 'block';
+
+    this.active.push({
+      element,
+      position: getHeadPosition(entity, COMBAT_TEXT.HEAD_OFFSET, new THREE.Vector3()),
+      offsetX: (Math.random() - 0.5) * COMBAT_TEXT.SPREAD,
+      scale: crit ? COMBAT_TEXT.CRIT_SCALE : 1,
+      age: 0
+    });
+  }
+
+  release(text) {
+    text.element.style.display = 'none';
+    this.pool.push(text.element);
+  }
+
+  update(deltaTime) {
+    const width = this.domElement.clientWidth || window.innerWidth;
+    const height = this.domElement.clientHeight || window.innerHeight;
+
+    this.active = this.active.filter((text) => {
+      text.age += deltaTime;
+      const progress = text.age / COMBAT_TEXT.DURATION;
+      if (progress >= 1) {
+        this.release(text);
+        return false;
+      }
+
+      projectToScreen(text.position, this.camera, width, height, screenPosition);
+      if (screenPosition.z > 1) {
+        text.element.style.opacity = '0';
+        return true;
+      }
+
+      // Crits pop in large and settle back to their scale
+      const pop = text.scale > 1 ? 1 + Math.max(0, 0.15 - text.age) * 4 : 1;
+      const fade = progress < COMBAT_TEXT.FADE_START
+        ? 1
+        : 1 - (progress - COMBAT_TEXT.FADE_START) / (1 - COMBAT_TEXT.FADE_START);
+      const x = screenPosition.x + text.offsetX;
+      const y = screenPosition.y - progress * COMBAT_TEXT.RISE;
+
+      text.element.style.opacity = `${fade}`;
+      text.element.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%) scale(${text.scale * pop})`;
+      return true;
+    });
+  }
+
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.active.forEach((text) => text.element.remove());
+    this.pool.forEach((element) => element.remove());
+    this.active.length = 0;
+    this.pool.length = 0;
+  }
+}
@@ -0,0 +1,26 @@
+// Full screen layer the in-game HUD widgets (action bar, unit frames, ...)
+// are placed on. It lets clicks through to the game except on its widgets,
+// which set pointer-events themselves.
+export class HUD {
+  constructor(container = document.body) {
+    this.element = document.createElement('div');
+    this.element.id = 'hud';
+    this.element.style.cssText = `
+      position: fixed;
+      inset: 0;
+      pointer-events: none;
+      font-family: Arial, sans-serif;
+      color: white;
+      z-index: 5;
+    `;
+    container.appendChild(this.element);
+  }
+
+  add(widget) {
+    this.element.appendChild(widget);
+  }
+
+  dispose() {
+    this.element.remove();
+  }
+}
@@ -0,0 +1,202 @@
+import { EQUIPMENT, INVENTORY } from '../core/Constants.js';
+import { createItemIcon, getSlotLabel } from './ItemIcon.js';
+
+const SLOT_SIZE = 38;
+
+// Character window with the equipped item of every slot, the character's
+// stats and a grid of bag slots. TOGGLE_INVENTORY opens and closes it.
+// Clicking a bag item equips it through onEquip(index), clicking an equipped
+// slot takes the item off through onUnequip(slot). Bag items can be dragged
+// onto other bag slots to move or stack them.
+export class InventoryWindow {
+  constructor({ inventory, player, input, onEquip, onUnequip }, container = document.body) {
+    this.inventory = inventory;
+    this.player = player;
+    this.onEquip = onEquip;
+    this.onUnequip = onUnequip;
+    this.dragIndex = null;
+
+    this.createElements(container);
+    this.unsubscribers = [
+      input.on('actionDown', (action) => {
+        if (action === 'TOGGLE_INVENTORY') this.toggle();
+      }),
+      inventory.on('changed', () => this.refresh()),
+      player.on('statsChanged', () => this.refresh())
+    ];
+  }
+
+  createElements(container) {
+    this.element = document.createElement('div');
+    this.element.id = 'inventory-window';
+    this.element.style.cssText = `
+      position: fixed;
+      right: 20px;
+      bottom: 20px;
+      padding: 8px 10px;
+      background: rgba(0, 0, 0, 0.85);
+      border: 1px solid #8a7b4a;
+      border-radius: 4px;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      color: white;
+      display: none;
+      z-index: 15;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'Character';
+    title.style.cssText = `
+      font-size: 15px;
+      color: #ffd100;
+      margin-bottom: 8px;
+    `;
+
+    const body = document.createElement('div');
+    body.style.cssText = `
+      display: flex;
+      gap: 12px;
+    `;
+
+    const equipmentColumn = document.createElement('div');
+    this.equipmentSlots = new Map();
+    Object.keys(EQUIPMENT.SLOTS).forEach((slot) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        margin-bottom: 4px;
+      `;
+      const cell = this.createCell();
+      cell.addEventListener('click', () => {
+        if (this.player.equipment.getItem(slot)) this.onUnequip(slot);
+      });
+      const label = document.createElement('span');
+      label.textContent = getSlotLabel(slot);
+      label.style.cssText = `
+        margin-left: 6px;
+        width: 70px;
+        color: #aaa;
+      `;
+      row.appendChild(cell);
+      row.appendChild(label);
+      equipmentColumn.appendChild(row);
+      this.equipmentSlots.set(slot, cell);
+    });
+
+    this.statsElement = document.createElement('div');
+    this.statsElement.style.cssText = `
+      margin-top: 6px;
+      line-height: 16px;
+      white-space: pre;
+    `;
+    equipmentColumn.appendChild(this.statsElement);
+
+    this.bagElement = document.createElement('div');
+    this.bagElement.style.cssText = `
+      display: grid;
+      grid-template-columns: repeat(${INVENTORY.COLUMNS}, ${SLOT_SIZE}px);
+      grid-auto-rows: ${SLOT_SIZE}px;
+      gap: 3px;
+      align-content: start;
+    `;
+    this.bagSlots = [];
+    for (let index = 0; index < this.inventory.size; index++) {
+      const cell = this.createCell();
+      cell.addEventListener('click', () => {
+        const item = this.inventory.getItem(index);
+        if (item && item.slot) this.onEquip(index);
+      });
+      cell.addEventListener('dragstart', (event) => {
+        this.dragIndex = index;
+        event.dataTransfer.effectAllowed = 'move';
+      });
+      cell.addEventListener('dragover', (event) => event.preventDefault());
+      cell.addEventListener('drop', (event) => {
+        event.preventDefault();
+        if (this.dragIndex !== null) {
+          this.inventory.moveItem(this.dragIndex, index);
+          this.dragIndex = null;
+        }
+      });
+      this.bagElement.appendChild(cell);
+      this.bagSlots.push(cell);
+    }
+
+    body.appendChild(equipmentColumn);
+    body.appendChild(this.bagElement);
+    this.element.appendChild(title);
+    this.element.appendChild(body);
+    container.appendChild(this.element);
+  }
+
+  createCell() {
+    const cell = document.createElement('div');
+    cell.style.cssText = `
+      width: ${SLOT_SIZE}px;
+      height: ${SLOT_SIZE}px;
+      box-sizing: border-box;
+      padding: 1px;
+      background: #111;
+      border: 1px solid #333;
+      border-radius: 3px;
+      cursor: pointer;
+    `;
+    return cell;
+  }
+
+  setCellItem(cell, item, count) {
+    cell.replaceChildren();
+    cell.draggable = Boolean(item);
+    if (item) {
+      cell.appendChild(createItemIcon(item, count, SLOT_SIZE - 4));
+    }
+  }
+
+  refresh() {
+    if (!this.isVisible()) return;
+
+    this.equipmentSlots.forEach((cell, slot) => {
+      this.setCellItem(cell, this.player.equipment.getItem(slot), 1);
+    });
+    this.bagSlots.forEach((cell, index) => {
+      const contents = this.inventory.getSlot(index);
+      this.setCellItem(cell, this.inventory.getItem(index), contents ? contents.count : 0);
+    });
+
+    const { armor, critChance, attackPower, maxHealth, maxMana } = this.player;
+    this.statsElement.textContent = [
+      `Health: ${maxHealth}`,
+      `Mana: ${maxMana}`,
+      `Armor: ${armor}`,
+      `Attack Power: ${attackPower}`,
+      `Critical Strike: ${(critChance * 100).toFixed(1)}%`
+    ].join('\n');
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+
+  show() {
+    this.element.style.display = 'block';
+    this.refresh();
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.isVisible()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.element.remove();
+  }
+}
@@ -0,0 +1,83 @@
+import { ITEMS } from '../core/Constants.js';
+
+const STAT_LABELS = {
+  armor: (value) => `+${value} Armor`,
+  critChance: (value) => `+${Math.round(value * 100)}% Critical Strike`,
+  maxHealth: (value) => `+${value} Health`,
+  maxMana: (value) => `+${value} Mana`,
+  attackPower: (value) => `+${value} Attack Power`
+};
+
+const SLOT_LABELS = {
+  mainHand: 'Main Hand',
+  offHand: 'Off Hand',
+  head: 'Head',
+  chest: 'Chest',
+  legs: 'Legs',
+  feet: 'Feet'
+};
+
+export function getQualityColor(item) {
+  return ITEMS.QUALITY_COLORS[item.quality] || ITEMS.QUALITY_COLORS.common;
+}
+
+export function getSlotLabel(slot) {
+  return SLOT_LABELS[slot] || slot;
+}
+
+// Plain text tooltip: name, slot and stat lines
+export function getItemTooltip(item) {
+  const lines = [item.name];
+  if (item.slot) {
+    lines.push(getSlotLabel(item.slot));
+  }
+  Object.entries(item.stats || {}).forEach(([stat, value]) => {
+    lines.push(STAT_LABELS[stat] ? STAT_LABELS[stat](value) : `+${value} ${stat}`);
+  });
+  if (item.stackSize > 1) {
+    lines.push(`Stacks to ${item.stackSize}`);
+  }
+  return lines.join('\n');
+}
+
+// Square icon bordered in the item's quality color with a stack count in the
+// corner. Items without an icon image show their initials.
+export function createItemIcon(item, count = 1, size = 36) {
+  const icon = document.createElement('div');
+  icon.title = getItemTooltip(item);
+  icon.style.cssText = `
+    position: relative;
+    width: ${size}px;
+    height: ${size}px;
+    box-sizing: border-box;
+    border: 1px solid ${getQualityColor(item)};
+    border-radius: 3px;
+    background: #1a1a1a center / cover no-repeat;
+    font-size: 12px;
+    line-height: ${size - 2}px;
+    text-align: center;
+    color: ${getQualityColor(item)};
+  `;
+
+  if (item.icon) {
+    icon.style.backgroundImage = `url(${item.icon})`;
+  } else {
+    icon.textContent = item.name.split(' ').map((word) => word[0]).join('').slice(0, 2).toUpperCase();
+  }
+
+  if (count > 1) {
+    const countElement = document.createElement('span');
+    countElement.textContent = count;
+    countElement.style.cssText = `
+      position: absolute;
+      right: 2px;
+      bottom: 1px;
+      font-size: 11px;
+      line-height: 11px;
+      color: white;
+      text-shadow: 1px 1px 1px #000;
+    `;
+    icon.appendChild(countElement);
+  }
+  return icon;
+}
@@ -0,0 +1,150 @@
+import { CONTROLS } from '../core/Constants.js';
+import { InputManager } from '../managers/InputManager.js';
+
+// Settings window listing every action with one button per binding slot.
+// Clicking a slot waits for the next key, mouse button or gamepad input;
+// Escape cancels and Backspace/Delete clear the slot. TOGGLE_KEYBINDINGS
+// opens and closes it.
+export class KeybindingPanel {
+  constructor(input, container = document.body) {
+    this.input = input;
+    this.slotButtons = new Map();
+
+    this.createElements(container);
+    this.unsubscribers = [
+      input.on('actionDown', (action) => {
+        if (action === 'TOGGLE_KEYBINDINGS') this.toggle();
+      }),
+      input.on('bindingsChanged', () => this.refresh()),
+      input.on('rebindStart', () => this.refresh()),
+      input.on('rebindEnd', () => this.refresh())
+    ];
+  }
+
+  createElements(container) {
+    this.element = document.createElement('div');
+    this.element.id = 'keybinding-panel';
+    this.element.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      width: 540px;
+      max-height: 80vh;
+      overflow-y: auto;
+      padding: 12px 16px;
+      background: rgba(0, 0, 0, 0.85);
+      border: 1px solid #8a7b4a;
+      border-radius: 4px;
+      font-family: Arial, sans-serif;
+      font-size: 13px;
+      color: white;
+      display: none;
+      z-index: 20;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'Key Bindings';
+    title.style.cssText = `
+      font-size: 16px;
+      color: #ffd100;
+      margin-bottom: 10px;
+    `;
+    this.element.appendChild(title);
+
+    Object.entries(CONTROLS.ACTION_LABELS).forEach(([action, label]) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        margin-bottom: 4px;
+      `;
+
+      const name = document.createElement('span');
+      name.textContent = label;
+      name.style.flex = '1';
+      row.appendChild(name);
+
+      const buttons = [];
+      for (let slot = 0; slot < CONTROLS.SLOTS; slot++) {
+        const button = this.createButton('', () => this.input.startRebind(action, slot));
+        button.style.width = '110px';
+        button.style.marginLeft = '6px';
+        row.appendChild(button);
+        buttons.push(button);
+      }
+      this.slotButtons.set(action, buttons);
+      this.element.appendChild(row);
+    });
+
+    const footer = document.createElement('div');
+    footer.style.cssText = `
+      display: flex;
+      justify-content: flex-end;
+      margin-top: 10px;
+    `;
+    const resetButton = this.createButton('Reset Defaults', () => this.input.resetBindings());
+    const closeButton = this.createButton('Close', () => this.hide());
+    closeButton.style.marginLeft = '6px';
+    footer.appendChild(resetButton);
+    footer.appendChild(closeButton);
+    this.element.appendChild(footer);
+
+    container.appendChild(this.element);
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `
+      padding: 3px 8px;
+      background: #2a2a2a;
+      border: 1px solid #555;
+      border-radius: 3px;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  refresh() {
+    const rebinding = this.input.rebinding;
+    this.slotButtons.forEach((buttons, action) => {
+      const bindings = this.input.getBindings(action);
+      buttons.forEach((button, slot) => {
+        const waiting = rebinding && rebinding.action === action && rebinding.slot === slot;
+        button.textContent = waiting ? 'Press a key...' : InputManager.formatBinding(bindings[slot]) || '-';
+        button.style.borderColor = waiting ? '#ffd100' : '#555';
+      });
+    });
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+
+  show() {
+    this.refresh();
+    this.element.style.display = 'block';
+  }
+
+  hide() {
+    this.input.cancelRebind();
+    this.element.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.isVisible()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.element.remove();
+  }
+}
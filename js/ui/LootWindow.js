@@ -0,0 +1,164 @@
+import { LOOT } from '../core/Constants.js';
+import { createItemIcon, getQualityColor } from './ItemIcon.js';
+
+// Window listing a corpse's loot. INTERACT opens it on the current target if
+// that is a lootable corpse in range, otherwise on the nearest one. Clicking
+// an item takes it into the bags; the window closes once the corpse is empty
+// or the player walks out of LOOT.RANGE.
+export class LootWindow {
+  constructor({ loot, inventory, player, targeting, input, database }, container = document.body) {
+    this.loot = loot;
+    this.inventory = inventory;
+    this.player = player;
+    this.targeting = targeting;
+    this.database = database;
+    this.corpse = null;
+
+    this.createElements(container);
+    this.unsubscribers = [
+      input.on('actionDown', (action) => {
+        if (action === 'INTERACT') this.interact();
+      }),
+      loot.on('lootChanged', ({ corpse }) => {
+        if (corpse === this.corpse) this.refresh();
+      })
+    ];
+  }
+
+  createElements(container) {
+    this.element = document.createElement('div');
+    this.element.id = 'loot-window';
+    this.element.style.cssText = `
+      position: fixed;
+      top: 35%;
+      left: 25%;
+      width: 200px;
+      padding: 8px;
+      background: rgba(0, 0, 0, 0.85);
+      border: 1px solid #8a7b4a;
+      border-radius: 4px;
+      font-family: Arial, sans-serif;
+      font-size: 13px;
+      color: white;
+      display: none;
+      z-index: 15;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: 6px;
+    `;
+    this.titleElement = document.createElement('span');
+    this.titleElement.style.color = '#ffd100';
+    const closeButton = document.createElement('span');
+    closeButton.textContent = 'x';
+    closeButton.style.cursor = 'pointer';
+    closeButton.addEventListener('click', () => this.close());
+    header.appendChild(this.titleElement);
+    header.appendChild(closeButton);
+
+    this.listElement = document.createElement('div');
+
+    const takeAllButton = document.createElement('button');
+    takeAllButton.textContent = 'Take All';
+    takeAllButton.style.cssText = `
+      width: 100%;
+      margin-top: 6px;
+      padding: 3px 8px;
+      background: #2a2a2a;
+      border: 1px solid #555;
+      border-radius: 3px;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    takeAllButton.addEventListener('click', () => {
+      if (this.corpse) {
+        this.loot.takeAll(this.corpse, this.inventory);
+      }
+    });
+
+    this.element.appendChild(header);
+    this.element.appendChild(this.listElement);
+    this.element.appendChild(takeAllButton);
+    container.appendChild(this.element);
+  }
+
+  isInRange(corpse) {
+    const position = this.player.getPosition();
+    const corpsePosition = corpse.getPosition();
+    return Math.hypot(corpsePosition.x - position.x, corpsePosition.z - position.z) <= LOOT.RANGE;
+  }
+
+  interact() {
+    if (this.player.isDead()) return;
+
+    const target = this.targeting.getTarget();
+    const corpse = target && this.loot.hasLoot(target) && this.isInRange(target)
+      ? target
+      : this.loot.findNearestCorpse(this.player.getPosition());
+    if (corpse) {
+      this.open(corpse);
+    }
+  }
+
+  open(corpse) {
+    this.corpse = corpse;
+    this.titleElement.textContent = corpse.name || 'Loot';
+    this.refresh();
+    this.element.style.display = 'block';
+  }
+
+  close() {
+    this.corpse = null;
+    this.element.style.display = 'none';
+  }
+
+  isOpen() {
+    return this.corpse !== null;
+  }
+
+  refresh() {
+    if (!this.corpse) return;
+
+    const items = this.loot.getLoot(this.corpse);
+    if (items.length === 0) {
+      this.close();
+      return;
+    }
+
+    this.listElement.replaceChildren(...items.map(({ itemId, count }, index) => {
+      const item = this.database.get(itemId);
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        padding: 2px;
+        cursor: pointer;
+      `;
+      const name = document.createElement('span');
+      name.textContent = item.name;
+      name.style.cssText = `
+        margin-left: 8px;
+        color: ${getQualityColor(item)};
+      `;
+      row.appendChild(createItemIcon(item, count));
+      row.appendChild(name);
+      row.addEventListener('click', () => this.loot.takeItem(this.corpse, index, this.inventory));
+      return row;
+    }));
+  }
+
+  update() {
+    if (this.corpse && (!this.loot.hasLoot(this.corpse) || !this.isInRange(this.corpse))) {
+      this.close();
+    }
+  }
+
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.element.remove();
+  }
+}
@@ -0,0 +1,65 @@
+import { MAP } from '../core/Constants.js';
+
+// Draw a marker of the given type (MAP.MARKERS) centred on x, y. heading
+// turns the player arrow, in radians clockwise from pointing up.
+export function drawMapMarker(context, type, x, y, heading = 0) {
+  const { color, shape, size, text } = MAP.MARKERS[type] || MAP.MARKERS.poi;
+
+  context.save();
+  context.translate(x, y);
+  context.fillStyle = color;
+  context.strokeStyle = '#000';
+  context.lineWidth = 1;
+
+  context.beginPath();
+  switch (shape) {
+    case 'arrow':
+      context.rotate(heading);
+      context.moveTo(0, -size);
+      context.lineTo(size * 0.7, size);
+      context.lineTo(0, size * 0.5);
+      context.lineTo(-size * 0.7, size);
+      context.closePath();
+      break;
+    case 'diamond':
+      context.moveTo(0, -size);
+      context.lineTo(size, 0);
+      context.lineTo(0, size);
+      context.lineTo(-size, 0);
+      context.closePath();
+      break;
+    case 'cross': {
+      const arm = size / 3;
+      context.rect(-arm, -size, arm * 2, size * 2);
+      context.rect(-size, -size * 0.6, size * 2, arm * 2);
+      break;
+    }
+    case 'text':
+      context.font = `bold ${size}px Arial, sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.strokeText(text, 0, 0);
+      context.fillText(text, 0, 0);
+      context.restore();
+      return;
+    default:
+      context.arc(0, 0, size, 0, Math.PI * 2);
+  }
+  context.fill();
+  context.stroke();
+  context.restore();
+}
+
+// Name under a marker, for the world map
+export function drawMapLabel(context, text, x, y) {
+  context.save();
+  context.font = '11px Arial, sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  context.lineWidth = 3;
+  context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+  context.fillStyle = '#ffffff';
+  context.strokeText(text, x, y + 8);
+  context.fillText(text, x, y + 8);
+  context.restore();
+}
@@ -0,0 +1,146 @@
+import { MAP } from '../core/Constants.js';
+import { drawMapMarker } from './MapMarkers.js';
+
+// Round map in the top right corner, centred on the player and turned so the
+// way they face is up. The + and - buttons and the mouse wheel step through
+// MAP.MINIMAP_RADII. Markers out of range are left out, except edge ones
+// (party members, the waypoint) which stay on the rim.
+export class Minimap {
+  constructor(map, container = document.body) {
+    this.map = map;
+    this.zoom = MAP.DEFAULT_ZOOM;
+
+    this.createElements(container);
+  }
+
+  createElements(container) {
+    const size = MAP.MINIMAP_SIZE;
+
+    this.element = document.createElement('div');
+    this.element.id = 'minimap';
+    this.element.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      width: ${size}px;
+      height: ${size}px;
+      pointer-events: auto;
+    `;
+    this.element.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      this.setZoom(this.zoom + (event.deltaY < 0 ? 1 : -1));
+    }, { passive: false });
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = size;
+    this.canvas.height = size;
+    this.canvas.style.cssText = `
+      width: 100%;
+      height: 100%;
+      border: 2px solid #8a7b4a;
+      border-radius: 50%;
+      box-sizing: border-box;
+      background: #111;
+    `;
+    this.context = this.canvas.getContext('2d');
+    this.element.appendChild(this.canvas);
+
+    this.zoomInButton = this.createButton('+', () => this.setZoom(this.zoom + 1));
+    this.zoomInButton.style.bottom = '22px';
+    this.zoomOutButton = this.createButton('-', () => this.setZoom(this.zoom - 1));
+    this.zoomOutButton.style.bottom = '0';
+    this.element.appendChild(this.zoomInButton);
+    this.element.appendChild(this.zoomOutButton);
+
+    container.appendChild(this.element);
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `
+      position: absolute;
+      right: 0;
+      width: 20px;
+      height: 20px;
+      padding: 0;
+      background: #2a2a2a;
+      border: 1px solid #8a7b4a;
+      border-radius: 50%;
+      color: #ffd100;
+      font-size: 14px;
+      line-height: 16px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Index into MAP.MINIMAP_RADII, higher is closer
+  setZoom(zoom) {
+    this.zoom = Math.max(0, Math.min(MAP.MINIMAP_RADII.length - 1, zoom));
+  }
+
+  getRadius() {
+    return MAP.MINIMAP_RADII[this.zoom];
+  }
+
+  update() {
+    const context = this.context;
+    const center = MAP.MINIMAP_SIZE / 2;
+    const scale = center / this.getRadius();
+    const player = this.map.getPlayerPose();
+    // Turns the player's facing, (sin, cos) of rotation in x and z, to point up
+    const angle = player.rotation - Math.PI;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    context.clearRect(0, 0, MAP.MINIMAP_SIZE, MAP.MINIMAP_SIZE);
+    context.save();
+    context.beginPath();
+    context.arc(center, center, center, 0, Math.PI * 2);
+    context.clip();
+
+    context.save();
+    context.translate(center, center);
+    context.rotate(angle);
+    context.scale(scale, scale);
+    const { minX, minZ, size } = this.map.bounds;
+    context.drawImage(this.map.getTexture(), minX - player.x, minZ - player.z, size, size);
+    context.restore();
+
+    const toScreen = (x, z) => {
+      const dx = x - player.x;
+      const dz = z - player.z;
+      return { x: (dx * cos - dz * sin) * scale, y: (dx * sin + dz * cos) * scale };
+    };
+
+    const rim = center - 6;
+    this.map.getMarkers().forEach((marker) => {
+      const offset = toScreen(marker.x, marker.z);
+      const distance = Math.hypot(offset.x, offset.y);
+      if (distance > rim) {
+        if (!MAP.MARKERS[marker.type]?.edge) return;
+        offset.x *= rim / distance;
+        offset.y *= rim / distance;
+      }
+      drawMapMarker(context, marker.type, center + offset.x, center + offset.y);
+    });
+
+    drawMapMarker(context, 'player', center, center);
+
+    // North sits on the rim wherever world -z points
+    const north = toScreen(player.x, player.z - 1);
+    const length = Math.hypot(north.x, north.y);
+    context.font = 'bold 12px Arial, sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = '#ffd100';
+    context.fillText('N', center + (north.x / length) * rim, center + (north.y / length) * rim);
+    context.restore();
+  }
+
+  dispose() {
+    this.element.remove();
+  }
+}
@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import { NAMEPLATES, TARGETING } from '../core/Constants.js';
+import { getHeadPosition, projectToScreen } from './WorldAnchor.js';
+
+const headPosition = new THREE.Vector3();
+const screenPosition = new THREE.Vector3();
+
+const toCss = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+// Name and health bar floating above every living character in view. Plates
+// shrink with camera distance and hide beyond NAMEPLATES.MAX_DISTANCE.
+// Name and health follow each entity's statsChanged and healthChanged events;
+// the entity list comes from getEntities, checked every frame so spawns and
+// departures show up.
+export class Nameplates {
+  constructor({ camera, getEntities, isHostile }, container = document.body) {
+    this.camera = camera;
+    this.getEntities = getEntities;
+    this.isHostile = isHostile;
+    this.domElement = container;
+
+    // entity -> { element, name, fill, unsubscribers }
+    this.plates = new Map();
+  }
+
+  createPlate(entity) {
+    const element = document.createElement('div');
+    element.style.cssText = `
+      position: absolute;
+      left: 0;
+      top: 0;
+      width: ${NAMEPLATES.WIDTH}px;
+      text-align: center;
+      font-size: 12px;
+      text-shadow: 1px 1px 1px #000;
+      transform-origin: 50% 100%;
+      display: none;
+    `;
+
+    const name = document.createElement('div');
+    name.textContent = entity.name || 'Unknown';
+    name.style.color = toCss(this.isHostile(entity) ? TARGETING.HOSTILE_COLOR : TARGETING.FRIENDLY_COLOR);
+
+    const bar = document.createElement('div');
+    bar.style.cssText = `
+      height: 6px;
+      margin-top: 2px;
+      background: #222;
+      border: 1px solid #000;
+      border-radius: 2px;
+      overflow: hidden;
+    `;
+    const fill = document.createElement('div');
+    fill.style.cssText = `
+      height: 100%;
+      background: ${name.style.color};
+      transition: width 0.15s ease-out;
+    `;
+    bar.appendChild(fill);
+
+    element.appendChild(name);
+    element.appendChild(bar);
+    this.domElement.appendChild(element);
+
+    const plate = { element, name, fill, unsubscribers: [] };
+    const refresh = () => {
+      plate.name.textContent = entity.name || 'Unknown';
+      plate.fill.style.width = `${entity.maxHealth > 0 ? (entity.health / entity.maxHealth) * 100 : 0}%`;
+    };
+    plate.unsubscribers = [
+      entity.on('healthChanged', refresh),
+      entity.on('statsChanged', refresh)
+    ];
+    refresh();
+    this.plates.set(entity, plate);
+    return plate;
+  }
+
+  removePlate(entity) {
+    const plate = this.plates.get(entity);
+    if (!plate) return;
+
+    plate.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    plate.element.remove();
+    this.plates.delete(entity);
+  }
+
+  // Add and drop plates as entities come and go, then place each over its head
+  update() {
+    const entities = new Set(this.getEntities());
+    this.plates.forEach((plate, entity) => {
+      if (!entities.has(entity)) this.removePlate(entity);
+    });
+
+    const width = this.domElement.clientWidth || window.innerWidth;
+    const height = this.domElement.clientHeight || window.innerHeight;
+
+    entities.forEach((entity) => {
+      const plate = this.plates.get(entity) || this.createPlate(entity);
+
+      getHeadPosition(entity, NAMEPLATES.HEAD_OFFSET, headPosition);
+      const distance = headPosition.distanceTo(this.camera.position);
+      projectToScreen(headPosition, this.camera, width, height, screenPosition);
+
+      if (entity.isDead() || distance > NAMEPLATES.MAX_DISTANCE || screenPosition.z > 1) {
+        plate.element.style.display = 'none';
+        return;
+      }
+
+      const scale = THREE.MathUtils.clamp(NAMEPLATES.FULL_SIZE_DISTANCE / distance, NAMEPLATES.MIN_SCALE, 1);
+      plate.element.style.display = 'block';
+      plate.element.style.transform = `translate(${screenPosition.x}px, ${screenPosition.y}px) translate(-50%, -100%) scale(${scale})`;
+      // Nearer plates draw on top
+      plate.element.style.zIndex = `${Math.round(NAMEPLATES.MAX_DISTANCE - distance)}`;
+    });
+  }
+
+  dispose() {
+    Array.from(this.plates.keys()).forEach((entity) => this.removePlate(entity));
+  }
+}
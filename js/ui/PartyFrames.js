@@ -0,0 +1,81 @@
+import { UNIT_FRAMES } from '../core/Constants.js';
+import { UnitFrame } from './UnitFrame.js';
+
+// Top left column of unit frames: the local player's, with compact frames
+// for up to UNIT_FRAMES.PARTY_SIZE nearby players stacked under it.
+export class PartyFrames {
+  constructor(player, container = document.body) {
+    this.element = document.createElement('div');
+    this.element.id = 'party-frames';
+    this.element.style.cssText = `
+      position: absolute;
+      top: 20px;
+      left: 20px;
+    `;
+    container.appendChild(this.element);
+
+    this.playerFrame = new UnitFrame(player);
+    this.element.appendChild(this.playerFrame.element);
+
+    this.label = document.createElement('div');
+    this.label.textContent = 'Nearby Players';
+    this.label.style.cssText = `
+      margin: 6px 0 2px;
+      font-size: 11px;
+      color: #ffd100;
+      text-shadow: 1px 1px 1px #000;
+      display: none;
+    `;
+    this.element.appendChild(this.label);
+
+    // entity -> UnitFrame
+    this.members = new Map();
+  }
+
+  addMember(entity) {
+    if (this.members.has(entity) || this.members.size >= UNIT_FRAMES.PARTY_SIZE) return false;
+
+    const frame = new UnitFrame(entity, { compact: true });
+    this.members.set(entity, frame);
+    this.element.appendChild(frame.element);
+    this.label.style.display = 'block';
+    return true;
+  }
+
+  removeMember(entity) {
+    const frame = this.members.get(entity);
+    if (!frame) return;
+
+    frame.dispose();
+    this.members.delete(entity);
+    if (this.members.size === 0) {
+      this.label.style.display = 'none';
+    }
+  }
+
+  getMembers() {
+    return Array.from(this.members.keys());
+  }
+
+  // Show frames for exactly these entities, dropping the rest
+  setMembers(entities) {
+    this.members.forEach((frame, entity) => {
+      if (!entities.includes(entity)) {
+        this.removeMember(entity);
+      }
+    });
+    entities.forEach((entity) => this.addMember(entity));
+  }
+
+  update(deltaTime) {
+    this.playerFrame.update(deltaTime);
+    this.members.forEach((frame) => frame.update(deltaTime));
+  }
+
+  dispose() {
+    this.playerFrame.dispose();
+    this.members.forEach((frame) => frame.dispose());
+    this.members.clear();
+    this.element.remove();
+  }
+}
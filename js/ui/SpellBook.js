@@ -0,0 +1,109 @@
+import { ABILITY_DRAG_TYPE } from './ActionBar.js';
+import { createAbilityIcon } from './AbilityIcon.js';
+
+const ICON_SIZE = 36;
+
+// Window listing every ability the player knows. Abilities are dragged from
+// here onto the action bar, clicking one uses it through onActivate.
+// TOGGLE_SPELLBOOK opens and closes it.
+export class SpellBook {
+  constructor({ input, abilities, onActivate }, container = document.body) {
+    this.abilities = abilities;
+    this.onActivate = onActivate;
+
+    this.createElements(container);
+    this.unsubscribeInput = input.on('actionDown', (action) => {
+      if (action === 'TOGGLE_SPELLBOOK') this.toggle();
+    });
+  }
+
+  createElements(container) {
+    this.element = document.createElement('div');
+    this.element.id = 'spellbook';
+    this.element.style.cssText = `
+      position: fixed;
+      top: 20%;
+      left: 20px;
+      width: 220px;
+      padding: 8px 10px;
+      background: rgba(0, 0, 0, 0.85);
+      border: 1px solid #8a7b4a;
+      border-radius: 4px;
+      font-family: Arial, sans-serif;
+      font-size: 13px;
+      color: white;
+      display: none;
+      z-index: 15;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'Spellbook';
+    title.style.cssText = `
+      font-size: 15px;
+      color: #ffd100;
+      margin-bottom: 8px;
+    `;
+    this.element.appendChild(title);
+
+    this.abilities.abilities.forEach((ability) => {
+      const row = document.createElement('div');
+      row.draggable = true;
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        margin-bottom: 4px;
+        cursor: grab;
+      `;
+      row.addEventListener('dragstart', (event) => {
+        event.dataTransfer.setData(ABILITY_DRAG_TYPE, JSON.stringify({ abilityId: ability.id }));
+        event.dataTransfer.effectAllowed = 'copy';
+      });
+      row.addEventListener('click', () => this.onActivate(ability.id));
+
+      const details = document.createElement('div');
+      details.style.marginLeft = '8px';
+      const name = document.createElement('div');
+      name.textContent = ability.name;
+      const summary = document.createElement('div');
+      summary.textContent = this.describe(ability);
+      summary.style.cssText = `
+        font-size: 11px;
+        color: #aaa;
+      `;
+      details.appendChild(name);
+      details.appendChild(summary);
+
+      row.appendChild(createAbilityIcon(ability, ICON_SIZE));
+      row.appendChild(details);
+      this.element.appendChild(row);
+    });
+
+    container.appendChild(this.element);
+  }
+
+  // Cost, cast time and cooldown on one line
+  describe(ability) {
+    const parts = [];
+    if (ability.cost && ability.cost.amount) {
+      parts.push(`${ability.cost.amount} ${ability.cost.resource}`);
+    }
+    parts.push(ability.castTime > 0 ? `${ability.castTime}s cast` : 'Instant');
+    if (ability.cooldown > 0) {
+      parts.push(`${ability.cooldown}s cooldown`);
+    }
+    return parts.join(', ');
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+
+  toggle() {
+    this.element.style.display = this.isVisible() ? 'none' : 'block';
+  }
+
+  dispose() {
+    this.unsubscribeInput();
+    this.element.remove();
+  }
+}
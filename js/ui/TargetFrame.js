@@ -0,0 +1,115 @@
+// HTML frame for the current target showing its name, level and health.
+// Follows TargetingSystem's targetChanged and the target's healthChanged events.
+export class TargetFrame {
+  constructor(targeting, container = document.body) {
+    this.targeting = targeting;
+    this.target = null;
+    this.unsubscribeHealth = null;
+
+    this.createElements(container);
+    this.unsubscribeTarget = targeting.on('targetChanged', ({ target }) => this.setTarget(target));
+  }
+
+  createElements(container) {
+    this.element = document.createElement('div');
+    this.element.id = 'target-frame';
+    this.element.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      width: 240px;
+      padding: 6px 8px;
+      background: rgba(0, 0, 0, 0.65);
+      border: 1px solid #8a7b4a;
+      border-radius: 4px;
+      font-family: Arial, sans-serif;
+      color: white;
+      display: none;
+      pointer-events: none;
+      z-index: 10;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      font-size: 14px;
+      margin-bottom: 4px;
+    `;
+    this.nameElement = document.createElement('span');
+    this.levelElement = document.createElement('span');
+    this.levelElement.style.color = '#ffd100';
+    header.appendChild(this.nameElement);
+    header.appendChild(this.levelElement);
+
+    const healthBar = document.createElement('div');
+    healthBar.style.cssText = `
+      position: relative;
+      height: 14px;
+      background: #222;
+      border-radius: 2px;
+      overflow: hidden;
+    `;
+    this.healthFill = document.createElement('div');
+    this.healthFill.style.cssText = `
+      width: 100%;
+      height: 100%;
+      background: #1fbf3a;
+      transition: width 0.15s ease-out;
+    `;
+    this.healthText = document.createElement('span');
+    this.healthText.style.cssText = `
+      position: absolute;
+      inset: 0;
+      text-align: center;
+      font-size: 11px;
+      line-height: 14px;
+      text-shadow: 1px 1px 1px #000;
+    `;
+    healthBar.appendChild(this.healthFill);
+    healthBar.appendChild(this.healthText);
+
+    this.element.appendChild(header);
+    this.element.appendChild(healthBar);
+    container.appendChild(this.element);
+  }
+
+  setTarget(target) {
+    if (this.unsubscribeHealth) {
+      this.unsubscribeHealth();
+      this.unsubscribeHealth = null;
+    }
+
+    this.target = target;
+    if (!target) {
+      this.element.style.display = 'none';
+      return;
+    }
+
+    this.nameElement.textContent = target.name || 'Unknown';
+    this.nameElement.style.color = this.targeting.isHostile(target) ? '#ff5a4a' : '#7fff7f';
+    this.levelElement.textContent = target.level !== undefined ? `Level ${target.level}` : '';
+
+    this.unsubscribeHealth = target.on('healthChanged', () => this.updateHealth());
+    this.updateHealth();
+    this.element.style.display = 'block';
+  }
+
+  updateHealth() {
+    const { health, maxHealth } = this.target;
+    const percent = maxHealth > 0 ? (health / maxHealth) * 100 : 0;
+
+    this.healthFill.style.width = `${percent}%`;
+    this.healthFill.style.background = health > 0 ? '#1fbf3a' : '#555';
+    this.healthText.textContent = health > 0 ? `${Math.ceil(health)} / ${maxHealth}` : 'Dead';
+  }
+
+  dispose() {
+    this.unsubscribeTarget();
+    if (this.unsubscribeHealth) {
+      this.unsubscribeHealth();
+    }
+    this.element.remove();
+  }
+}
@@ -0,0 +1,278 @@
+import { AURAS, UNIT_FRAMES } from '../core/Constants.js';
+
+const BAR_STYLES = {
+  health: { color: '#1fbf3a', drain: '#e8d55a' }
+};
+
+// Frame for one entity: portrait, name, level, a health bar and a bar per
+// resource it has (mana, rage), plus rows of buff and debuff icons with
+// their remaining time. Bars drain smoothly towards a lower value.
+//
+// Everything shown comes from the entity's events (healthChanged,
+// resourceChanged, auraAdded, auraRemoved, statsChanged), nothing polls it.
+// update only counts down the aura timers already shown.
+//
+// The entity provides name, level, health, maxHealth, auras and optionally
+// portrait (an image URL) and mana/maxMana, rage/maxRage.
+export class UnitFrame {
+  constructor(entity, { compact = false } = {}) {
+    this.entity = entity;
+    this.compact = compact;
+    this.bars = new Map();
+    // aura id -> { element, timer, remaining, debuff }
+    this.auras = new Map();
+
+    this.createElements();
+    this.refreshAll();
+    this.unsubscribers = [
+      entity.on('healthChanged', () => this.refreshHealth()),
+      entity.on('resourceChanged', ({ type }) => this.refreshResource(type)),
+      entity.on('statsChanged', () => this.refreshAll()),
+      entity.on('auraAdded', ({ id, remaining }) => this.setAura(id, remaining)),
+      entity.on('auraRemoved', ({ id }) => this.removeAura(id))
+    ];
+  }
+
+  // Resources the entity has a maximum for
+  getResourceTypes() {
+    return Object.keys(UNIT_FRAMES.RESOURCE_COLORS).filter((type) => {
+      const max = this.entity[`max${type.charAt(0).toUpperCase()}${type.slice(1)}`];
+      return Number.isFinite(max) && max > 0;
+    });
+  }
+
+  createElements() {
+    const portraitSize = this.compact ? 36 : 52;
+    this.element = document.createElement('div');
+    this.element.style.cssText = `
+      display: flex;
+      width: ${this.compact ? 180 : 240}px;
+      padding: 4px;
+      margin-bottom: 6px;
+      background: rgba(0, 0, 0, 0.65);
+      border: 1px solid #8a7b4a;
+      border-radius: 4px;
+      font-size: ${this.compact ? 11 : 13}px;
+    `;
+
+    this.portraitElement = document.createElement('div');
+    this.portraitElement.style.cssText = `
+      flex: none;
+      width: ${portraitSize}px;
+      height: ${portraitSize}px;
+      margin-right: 6px;
+      border: 1px solid #8a7b4a;
+      border-radius: 50%;
+      background: #222 center / cover no-repeat;
+      font-size: ${Math.round(portraitSize / 2.2)}px;
+      line-height: ${portraitSize}px;
+      text-align: center;
+      color: #ffd100;
+    `;
+
+    const body = document.createElement('div');
+    body.style.cssText = `
+      flex: 1;
+      min-width: 0;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: 2px;
+    `;
+    this.nameElement = document.createElement('span');
+    this.levelElement = document.createElement('span');
+    this.levelElement.style.color = '#ffd100';
+    header.appendChild(this.nameElement);
+    header.appendChild(this.levelElement);
+    body.appendChild(header);
+
+    body.appendChild(this.createBar('health', BAR_STYLES.health.color, BAR_STYLES.health.drain));
+    this.getResourceTypes().forEach((type) => {
+      body.appendChild(this.createBar(type, UNIT_FRAMES.RESOURCE_COLORS[type], '#ffffff'));
+    });
+
+    this.buffRow = this.createAuraRow();
+    this.debuffRow = this.createAuraRow();
+    body.appendChild(this.buffRow);
+    body.appendChild(this.debuffRow);
+
+    this.element.appendChild(this.portraitElement);
+    this.element.appendChild(body);
+  }
+
+  // A bar has the current value on top of a drain fill that catches up late
+  createBar(type, color, drainColor) {
+    const height = type === 'health' ? (this.compact ? 10 : 14) : (this.compact ? 6 : 10);
+    const bar = document.createElement('div');
+    bar.style.cssText = `
+      position: relative;
+      height: ${height}px;
+      margin-bottom: 2px;
+      background: #222;
+      border-radius: 2px;
+      overflow: hidden;
+    `;
+
+    const drain = document.createElement('div');
+    const fill = document.createElement('div');
+    [drain, fill].forEach((element) => {
+      element.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+      `;
+    });
+    drain.style.background = drainColor;
+    drain.style.opacity = '0.6';
+    fill.style.background = color;
+    fill.style.transition = 'width 0.1s linear';
+
+    const text = document.createElement('span');
+    text.style.cssText = `
+      position: absolute;
+      inset: 0;
+      text-align: center;
+      font-size: ${Math.max(9, height - 3)}px;
+      line-height: ${height}px;
+      text-shadow: 1px 1px 1px #000;
+    `;
+
+    bar.appendChild(drain);
+    bar.appendChild(fill);
+    bar.appendChild(text);
+    this.bars.set(type, { fill, drain, text, color, percent: 100 });
+    return bar;
+  }
+
+  setBar(type, value, max) {
+    const bar = this.bars.get(type);
+    if (!bar) return;
+
+    const percent = max > 0 ? (Math.max(0, value) / max) * 100 : 0;
+    bar.fill.style.width = `${percent}%`;
+    // Losses linger in the drain fill, gains fill it straight away
+    bar.drain.style.transition = percent < bar.percent
+      ? `width ${UNIT_FRAMES.DRAIN_TIME}s ease-in ${UNIT_FRAMES.DRAIN_DELAY}s`
+      : 'none';
+    bar.drain.style.width = `${percent}%`;
+    bar.percent = percent;
+    bar.text.textContent = `${Math.ceil(value)} / ${max}`;
+  }
+
+  createAuraRow() {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      flex-wrap: wrap;
+      gap: 2px;
+      margin-top: 2px;
+    `;
+    return row;
+  }
+
+  refreshAll() {
+    const { name, level, portrait } = this.entity;
+    this.nameElement.textContent = name || 'Unknown';
+    this.levelElement.textContent = level !== undefined ? `${level}` : '';
+    if (portrait) {
+      this.portraitElement.style.backgroundImage = `url(${portrait})`;
+      this.portraitElement.textContent = '';
+    } else {
+      this.portraitElement.style.backgroundImage = 'none';
+      this.portraitElement.textContent = (name || '?').charAt(0).toUpperCase();
+    }
+
+    this.refreshHealth();
+    this.getResourceTypes().forEach((type) => this.refreshResource(type));
+    this.entity.auras.forEach((remaining, id) => this.setAura(id, remaining));
+  }
+
+  refreshHealth() {
+    const { health, maxHealth } = this.entity;
+    this.setBar('health', health, maxHealth);
+    this.bars.get('health').fill.style.background = health > 0 ? BAR_STYLES.health.color : '#555';
+    if (health <= 0) {
+      this.bars.get('health').text.textContent = 'Dead';
+    }
+  }
+
+  refreshResource(type) {
+    const maxKey = `max${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+    this.setBar(type, this.entity[type], this.entity[maxKey]);
+  }
+
+  setAura(id, remaining) {
+    let aura = this.auras.get(id);
+    if (!aura) {
+      const info = AURAS[id] || { name: id, debuff: false };
+      const size = this.compact ? 16 : 20;
+      const element = document.createElement('div');
+      element.title = info.name;
+      element.style.cssText = `
+        position: relative;
+        width: ${size}px;
+        height: ${size + 10}px;
+        font-size: 9px;
+        text-align: center;
+      `;
+
+      const icon = document.createElement('div');
+      icon.style.cssText = `
+        width: ${size}px;
+        height: ${size}px;
+        box-sizing: border-box;
+        border: 1px solid ${info.debuff ? '#cc2a2a' : '#3a8a3a'};
+        border-radius: 2px;
+        background: #2a2a2a center / cover no-repeat;
+        line-height: ${size - 2}px;
+        color: white;
+      `;
+      if (info.icon) {
+        icon.style.backgroundImage = `url(${info.icon})`;
+      } else {
+        icon.textContent = info.name.charAt(0).toUpperCase();
+      }
+
+      const timer = document.createElement('div');
+      element.appendChild(icon);
+      element.appendChild(timer);
+      (info.debuff ? this.debuffRow : this.buffRow).appendChild(element);
+
+      aura = { element, timer, remaining };
+      this.auras.set(id, aura);
+    }
+
+    aura.remaining = remaining;
+    this.updateAuraTimer(aura);
+  }
+
+  removeAura(id) {
+    const aura = this.auras.get(id);
+    if (!aura) return;
+
+    aura.element.remove();
+    this.auras.delete(id);
+  }
+
+  updateAuraTimer(aura) {
+    const seconds = Math.max(0, aura.remaining);
+    aura.timer.textContent = seconds >= 60 ? `${Math.ceil(seconds / 60)}m` : `${Math.ceil(seconds)}s`;
+  }
+
+  update(deltaTime) {
+    this.auras.forEach((aura) => {
+      aura.remaining -= deltaTime;
+      this.updateAuraTimer(aura);
+    });
+  }
+
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.element.remove();
+  }
+}
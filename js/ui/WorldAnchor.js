@@ -0,0 +1,41 @@
+import * as THREE from 'three';
+import { PHYSICS } from '../core/Constants.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Head bone per model, found once by walking its skeleton the way
+// EquipmentSystem finds its socket bones
+const headBones = new WeakMap();
+
+export function findHeadBone(model) {
+  if (!headBones.has(model)) {
+    let head = null;
+    model.traverse((child) => {
+      if (!head && child.isBone && child.name.endsWith('Head')) {
+        head = child;
+      }
+    });
+    headBones.set(model, head);
+  }
+  return headBones.get(model);
+}
+
+// World position offset above an entity's head, falls back to the top of its
+// hit capsule when the model has no head bone
+export function getHeadPosition(entity, offset, target) {
+  const head = entity.character ? findHeadBone(entity.character) : null;
+  if (head) {
+    head.getWorldPosition(target);
+  } else {
+    target.copy(entity.getPosition());
+    target.y += entity.hitHeight ?? PHYSICS.CAPSULE_HEIGHT;
+  }
+  return target.addScaledVector(UP, offset);
+}
+
+// Pixel position of a world point in a viewport, with z > 1 when it is behind
+// the camera or past the far plane
+export function projectToScreen(position, camera, width, height, target) {
+  target.copy(position).project(camera);
+  return target.set((target.x + 1) * width / 2, (1 - target.y) * height / 2, target.z);
+}
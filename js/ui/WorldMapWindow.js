@@ -0,0 +1,158 @@
+import { MAP } from '../core/Constants.js';
+import { drawMapLabel, drawMapMarker } from './MapMarkers.js';
+
+// Full screen map of the baked world, north up, with the same markers as the
+// minimap and their names. A left click places the waypoint, a right click
+// clears it. TOGGLE_WORLD_MAP opens and closes it.
+export class WorldMapWindow {
+  constructor({ map, input }, container = document.body) {
+    this.map = map;
+    this.input = input;
+
+    this.createElements(container);
+    this.unsubscribers = [
+      input.on('actionDown', (action) => {
+        if (action === 'TOGGLE_WORLD_MAP') this.toggle();
+      })
+    ];
+  }
+
+  createElements(container) {
+    this.element = document.createElement('div');
+    this.element.id = 'world-map';
+    this.element.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.7);
+      font-family: Arial, sans-serif;
+      color: white;
+      display: none;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      z-index: 18;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = `
+      display: flex;
+      align-items: center;
+      margin-bottom: 8px;
+    `;
+    const title = document.createElement('div');
+    title.textContent = 'World Map';
+    title.style.cssText = `
+      font-size: 18px;
+      color: #ffd100;
+    `;
+    const hint = document.createElement('div');
+    hint.textContent = 'Click to place a waypoint, right click to clear it';
+    hint.style.cssText = `
+      margin-left: 16px;
+      font-size: 12px;
+      color: #aaa;
+    `;
+    const closeButton = document.createElement('button');
+    closeButton.textContent = 'Close';
+    closeButton.style.cssText = `
+      margin-left: 16px;
+      padding: 3px 8px;
+      background: #2a2a2a;
+      border: 1px solid #555;
+      border-radius: 3px;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    closeButton.addEventListener('click', () => this.hide());
+    header.appendChild(title);
+    header.appendChild(hint);
+    header.appendChild(closeButton);
+    this.element.appendChild(header);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.style.cssText = `
+      border: 2px solid #8a7b4a;
+      cursor: crosshair;
+    `;
+    this.context = this.canvas.getContext('2d');
+    this.canvas.addEventListener('click', (event) => {
+      const { x, z } = this.getWorldPoint(event);
+      this.map.setWaypoint(x, z);
+    });
+    this.canvas.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
+      this.map.clearWaypoint();
+    });
+    this.element.appendChild(this.canvas);
+
+    container.appendChild(this.element);
+  }
+
+  // Screen pixels per map texture pixel
+  getScale() {
+    return this.canvas.width / MAP.TEXTURE_SIZE;
+  }
+
+  // The canvas is drawn at its own size, so offsets are canvas pixels
+  getWorldPoint(event) {
+    const scale = this.getScale();
+    return this.map.mapToWorld(event.offsetX / scale, event.offsetY / scale);
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+
+  // Sized to the window each time it opens
+  show() {
+    const size = Math.floor(Math.min(window.innerWidth, window.innerHeight) * MAP.WORLD_MAP_SCALE);
+    this.canvas.width = size;
+    this.canvas.height = size;
+    this.element.style.display = 'flex';
+    this.update();
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.isVisible()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  update() {
+    if (!this.isVisible()) return;
+
+    const context = this.context;
+    const scale = this.getScale();
+    const toScreen = (x, z) => {
+      const point = this.map.worldToMap(x, z);
+      return { x: point.x * scale, y: point.y * scale };
+    };
+
+    context.drawImage(this.map.getTexture(), 0, 0, this.canvas.width, this.canvas.height);
+
+    this.map.getMarkers().forEach((marker) => {
+      const { x, y } = toScreen(marker.x, marker.z);
+      drawMapMarker(context, marker.type, x, y);
+      if (marker.name && marker.type !== 'mob') {
+        drawMapLabel(context, marker.name, x, y);
+      }
+    });
+
+    // Facing (sin, cos) of rotation in x and z, turned clockwise from up
+    const player = this.map.getPlayerPose();
+    const { x, y } = toScreen(player.x, player.z);
+    drawMapMarker(context, 'player', x, y, Math.PI - player.rotation);
+  }
+
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.element.remove();
+  }
+}
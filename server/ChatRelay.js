@@ -0,0 +1,119 @@
+import { WebSocket } from 'ws';
+import { CHAT } from '../js/core/Constants.js';
+import { MESSAGE, encodeMessage } from '../js/core/Protocol.js';
+import {
+  CHAT_CHANNEL,
+  PLAYER_CHANNELS,
+  getChannelRange,
+  parseRollRange,
+  sanitizeChatText
+} from '../js/core/Chat.js';
+
+// Relays chat between connected players. Say, emote and yell only reach
+// players within their range, whispers go to one player by name, party and
+// general to everyone online (everyone is grouped together for now).
+export class ChatRelay {
+  constructor(players) {
+    this.players = players;
+  }
+
+  send(player, payload) {
+    if (player.socket.readyState === WebSocket.OPEN) {
+      player.socket.send(encodeMessage(MESSAGE.CHAT, payload));
+    }
+  }
+
+  sendSystem(player, text) {
+    this.send(player, { channel: CHAT_CHANNEL.SYSTEM, text });
+  }
+
+  // Players a message from sender on channel reaches, the sender included
+  getListeners(sender, channel) {
+    const range = getChannelRange(channel);
+    return Array.from(this.players.values()).filter((player) => {
+      if (range === null || player === sender) return true;
+      return Math.hypot(player.movement.x - sender.movement.x, player.movement.z - sender.movement.z) <= range;
+    });
+  }
+
+  // By their unique name (see GameServer.isNameTaken) or '#<id>' for the id
+  findPlayerByName(name) {
+    const idMatch = String(name).match(/^#(\d+)$/);
+    if (idMatch) return this.players.get(Number(idMatch[1])) || null;
+
+    const lowerName = String(name).toLowerCase();
+    return Array.from(this.players.values()).find((player) => player.getName().toLowerCase() === lowerName) || null;
+  }
+
+  // Sliding window of recent message times per player, returns false once over the limit
+  allowMessage(player) {
+    const now = Date.now();
+    player.chatTimes = (player.chatTimes || []).filter((time) => now - time < CHAT.RATE_WINDOW);
+    if (player.chatTimes.length >= CHAT.RATE_LIMIT) return false;
+
+    player.chatTimes.push(now);
+    return true;
+  }
+
+  // MESSAGE.CHAT from a client: { channel, text, target } with target a name for whispers
+  handleChat(sender, { channel, text, target }) {
+    if (!PLAYER_CHANNELS.includes(channel)) return false;
+
+    const cleanText = sanitizeChatText(text);
+    if (!cleanText) return false;
+
+    if (!this.allowMessage(sender)) {
+      this.sendSystem(sender, 'You are sending messages too quickly.');
+      return false;
+    }
+
+    const from = { id: sender.id, name: sender.getName() };
+
+    if (channel === CHAT_CHANNEL.WHISPER) {
+      const recipient = this.findPlayerByName(target);
+      if (!recipient) {
+        this.sendSystem(sender, `No player named '${sanitizeChatText(String(target ?? ''))}' is online.`);
+        return false;
+      }
+      const to = { id: recipient.id, name: recipient.getName() };
+      this.send(recipient, { channel, text: cleanText, from, to });
+      if (recipient !== sender) {
+        this.send(sender, { channel, text: cleanText, from, to });
+      }
+      return true;
+    }
+
+    this.getListeners(sender, channel).forEach((player) => this.send(player, { channel, text: cleanText, from }));
+    return true;
+  }
+
+  // MESSAGE.CHAT_COMMAND from a client: { command, args }
+  handleCommand(sender, { command, args }) {
+    switch (command) {
+      case 'who': {
+        if (!this.allowMessage(sender)) {
+          this.sendSystem(sender, 'You are sending messages too quickly.');
+          return false;
+        }
+        const names = Array.from(this.players.values(), (player) => `${player.getName()} (#${player.id})`).sort();
+        this.sendSystem(sender, `${names.length} player${names.length === 1 ? '' : 's'} online: ${names.join(', ')}`);
+        return true;
+      }
+      case 'roll': {
+        const range = parseRollRange(args);
+        if (!range) {
+          this.sendSystem(sender, 'Usage: /roll [max] or /roll [min]-[max]');
+          return false;
+        }
+        if (!this.allowMessage(sender)) return false;
+
+        const result = range.min + Math.floor(Math.random() * (range.max - range.min + 1));
+        const text = `${sender.getName()} rolls ${result} (${range.min}-${range.max})`;
+        this.getListeners(sender, CHAT_CHANNEL.SAY).forEach((player) => this.sendSystem(player, text));
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+}
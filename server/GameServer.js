@@ -0,0 +1,130 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { NETWORK } from '../js/core/Constants.js';
+import { MESSAGE, encodeMessage, decodeMessage } from '../js/core/Protocol.js';
+import { Heightmap } from '../js/core/Heightmap.js';
+import { ServerPlayer } from './ServerPlayer.js';
+import { ChatRelay } from './ChatRelay.js';
+
+// Game server: owns every player's movement, runs the simulation at a fixed
+// tick and broadcasts snapshots to all clients. Combat runs on the clients,
+// so health and death are whatever each client reports.
+export class GameServer {
+  constructor({ port = NETWORK.SERVER_PORT } = {}) {
+    this.port = port;
+    this.players = new Map();
+    this.chat = new ChatRelay(this.players);
+    this.heightmap = new Heightmap();
+    this.nextPlayerId = 1;
+    this.tick = 0;
+    this.wss = null;
+    this.tickInterval = null;
+  }
+
+  start() {
+    this.wss = new WebSocketServer({ port: this.port });
+    this.wss.on('connection', (socket) => this.handleConnection(socket));
+
+    this.tickInterval = setInterval(() => this.update(), 1000 / NETWORK.TICK_RATE);
+    console.log(`[GameServer][start] Listening on port ${this.port} at ${NETWORK.TICK_RATE} ticks/s`);
+  }
+
+  stop() {
+    clearInterval(this.tickInterval);
+    this.tickInterval = null;
+
+    if (this.wss) {
+      this.wss.clients.forEach((socket) => socket.close());
+      this.wss.close();
+      this.wss = null;
+    }
+    this.players.clear();
+  }
+
+  handleConnection(socket) {
+    const player = new ServerPlayer(this.nextPlayerId++, socket, this.heightmap);
+    this.players.set(player.id, player);
+    console.log(`[GameServer][connect] Player ${player.id} joined (${this.players.size} online)`);
+
+    socket.send(encodeMessage(MESSAGE.WELCOME, {
+      id: player.id,
+      tickRate: NETWORK.TICK_RATE
+    }));
+
+    // Statuses only go out when they change, catch up on everyone else's
+    this.players.forEach((other) => {
+      if (other.status) {
+        socket.send(encodeMessage(MESSAGE.STATUS, { id: other.id, status: other.status }));
+      }
+    });
+
+    socket.on('message', (data) => this.handleMessage(player, data));
+    socket.on('close', () => this.handleDisconnect(player));
+    socket.on('error', (error) => {
+      console.error(`[GameServer][socket] Player ${player.id}:`, error.message);
+    });
+  }
+
+  handleMessage(player, data) {
+    const message = decodeMessage(data.toString());
+    if (!message) return;
+
+    switch (message.type) {
+      case MESSAGE.INPUT:
+        player.queueInput(message);
+        break;
+      case MESSAGE.ACTION:
+        player.playAction(message.animation);
+        break;
+      case MESSAGE.RESPAWN:
+        player.respawn();
+        break;
+      case MESSAGE.STATUS:
+        if (player.setStatus(message.status, (name) => this.isNameTaken(name, player))) {
+          this.broadcast(encodeMessage(MESSAGE.STATUS, { id: player.id, status: player.status }));
+        }
+        break;
+      case MESSAGE.CHAT:
+        this.chat.handleChat(player, message);
+        break;
+      case MESSAGE.CHAT_COMMAND:
+        this.chat.handleCommand(player, message);
+        break;
+      default:
+        console.warn(`[GameServer][message] Unknown message type from player ${player.id}:`, message.type);
+    }
+  }
+
+  // Names are unique regardless of case, whispers find players by them
+  isNameTaken(name, owner) {
+    const lowerName = name.toLowerCase();
+    return Array.from(this.players.values())
+      .some((player) => player !== owner && player.getName().toLowerCase() === lowerName);
+  }
+
+  handleDisconnect(player) {
+    this.players.delete(player.id);
+    console.log(`[GameServer][disconnect] Player ${player.id} left (${this.players.size} online)`);
+    this.broadcast(encodeMessage(MESSAGE.PLAYER_LEFT, { id: player.id }));
+  }
+
+  update() {
+    const deltaTime = 1 / NETWORK.TICK_RATE;
+
+    this.players.forEach((player) => player.update(deltaTime));
+    this.tick++;
+
+    this.broadcast(encodeMessage(MESSAGE.SNAPSHOT, {
+      tick: this.tick,
+      time: Date.now(),
+      players: Array.from(this.players.values(), (player) => player.serialize())
+    }));
+  }
+
+  broadcast(data) {
+    this.players.forEach((player) => {
+      if (player.socket.readyState === WebSocket.OPEN) {
+        player.socket.send(data);
+      }
+    });
+  }
+}
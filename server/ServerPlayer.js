@@ -0,0 +1,204 @@
+import { AURAS, COMBAT, NETWORK } from '../js/core/Constants.js';
+import {
+  createMovementState,
+  inputFromActions,
+  MOVEMENT_ACTIONS,
+  stepMovement,
+  getMovementAnimation
+} from '../js/core/Movement.js';
+import { findNearestGraveyard } from '../js/core/Combat.js';
+import { sanitizePlayerName } from '../js/core/Chat.js';
+import { REPLICATED_ACTIONS } from '../js/controllers/CharacterAnimationGraph.js';
+
+
+// Numeric vitals a client reports for other clients' party frames
+const STATUS_NUMBERS = ['level', 'health', 'maxHealth', 'mana', 'maxMana', 'rage', 'maxRage'];
+
+// Vitals that may not go over their maximum
+const STATUS_LIMITS = { health: 'maxHealth', mana: 'maxMana', rage: 'maxRage' };
+
+// Server-side state for one connected player
+export class ServerPlayer {
+  constructor(id, socket, heightmap) {
+    this.id = id;
+    this.socket = socket;
+    this.heightmap = heightmap;
+
+    // Authoritative state, always standing on the terrain
+    this.movement = createMovementState({ y: heightmap.getHeightAt(0, 0) });
+    this.currentAnimation = 'IDLE';
+
+    // Input handling, input is the movement input applied last
+    this.input = null;
+    this.pendingInputs = [];
+    this.lastProcessedInput = 0;
+    this.lastQueuedInput = 0;
+    // Inputs we may still simulate, one more every tick, see NETWORK.MAX_INPUT_BURST
+    this.inputCredits = 0;
+    this.actionTimer = 0;
+
+    // Set once the client reports its health down to 0, cleared by respawn
+    // no sooner than COMBAT.RESPAWN_TIME later. We trust that report, a client
+    // that never sends it never dies here.
+    this.dead = false;
+    this.respawnTimer = 0;
+    this.respawnRequested = false;
+
+    // Last vitals the client reported, relayed as is
+    this.status = null;
+  }
+
+  // Validate and queue an input message, returns false if it was rejected
+  queueInput(message) {
+    const { seq, actions, yaw } = message;
+
+    if (!Number.isInteger(seq) || seq <= this.lastQueuedInput) return false;
+    if (!actions || typeof actions !== 'object') return false;
+    if (!Number.isFinite(yaw)) return false;
+
+    // Drop the oldest input if a client floods us
+    if (this.pendingInputs.length >= NETWORK.MAX_INPUT_QUEUE) {
+      this.pendingInputs.shift();
+    }
+
+    // Only movement travels with inputs, one-shot actions arrive as MESSAGE.ACTION
+    const sanitizedActions = {};
+    MOVEMENT_ACTIONS.forEach((action) => {
+      sanitizedActions[action] = actions[action] === true;
+    });
+
+    this.pendingInputs.push({ seq, actions: sanitizedActions, yaw });
+    this.lastQueuedInput = seq;
+    return true;
+  }
+
+  update(deltaTime) {
+    const inputDelta = 1 / NETWORK.TICK_RATE;
+    this.inputCredits = Math.min(this.inputCredits + deltaTime / inputDelta, NETWORK.MAX_INPUT_BURST);
+
+    // Each input covers exactly one client tick, the rest wait for later ticks
+    while (this.pendingInputs.length > 0 && this.inputCredits >= 1) {
+      const input = this.pendingInputs.shift();
+      this.inputCredits--;
+      // Dead players don't move but their inputs are still acknowledged
+      if (!this.dead) {
+        this.applyInput(input, inputDelta);
+      }
+      this.lastProcessedInput = input.seq;
+    }
+
+    if (this.dead) {
+      this.respawnTimer = Math.max(0, this.respawnTimer - deltaTime);
+      if (this.respawnTimer === 0 && this.respawnRequested) {
+        this.respawn();
+      }
+    }
+
+    this.actionTimer = Math.max(0, this.actionTimer - deltaTime);
+    this.updateAnimation();
+  }
+
+  applyInput(input, deltaTime) {
+    const { actions, yaw } = input;
+
+    this.input = inputFromActions(actions, yaw);
+    this.movement = stepMovement(this.movement, this.input, deltaTime);
+    this.movement.y = this.heightmap.getHeightAt(this.movement.x, this.movement.z);
+  }
+
+  // Replicate a one-shot animation the client started, returns false if rejected.
+  // Looping clips follow movement and DEATH follows the reported health.
+  playAction(animation) {
+    if (!REPLICATED_ACTIONS.includes(animation) || this.dead) return false;
+
+    this.currentAnimation = animation;
+    this.actionTimer = NETWORK.ACTION_DURATION;
+    return true;
+  }
+
+  die() {
+    this.dead = true;
+    this.respawnTimer = COMBAT.RESPAWN_TIME;
+    this.respawnRequested = false;
+    this.actionTimer = 0;
+    this.currentAnimation = 'DEATH';
+  }
+
+  // Move a dead player to the graveyard nearest to where they died. The
+  // client's timer starts a little before ours, a request that comes in
+  // early is held until ours runs out.
+  respawn() {
+    if (!this.dead) return false;
+    if (this.respawnTimer > 0) {
+      this.respawnRequested = true;
+      return false;
+    }
+
+    const { x, z } = findNearestGraveyard(this.movement.x, this.movement.z);
+    this.movement = createMovementState({
+      x,
+      y: this.heightmap.getHeightAt(x, z),
+      z,
+      rotation: this.movement.rotation
+    });
+    this.dead = false;
+    this.respawnRequested = false;
+    this.actionTimer = 0;
+    this.updateAnimation();
+    return true;
+  }
+
+  // Reported name, or a placeholder until the client has sent its status
+  getName() {
+    return this.status ? this.status.name : `Player ${this.id}`;
+  }
+
+  // Validate and store a client's status, returns false if it was rejected.
+  // A name that is invalid or isNameTaken(name) leaves us with the placeholder.
+  setStatus(status, isNameTaken = () => false) {
+    if (!status || typeof status !== 'object') return false;
+    if (!STATUS_NUMBERS.every((key) => Number.isFinite(status[key]) && status[key] >= 0)) return false;
+    if (!Object.entries(STATUS_LIMITS).every(([key, maxKey]) => status[key] <= status[maxKey])) return false;
+    if (!Array.isArray(status.auras)) return false;
+
+    const sanitized = {
+      name: `Player ${this.id}`,
+      // Only auras every client knows (AURAS), which also bounds the ids
+      auras: status.auras
+        .filter((aura) => aura && Object.hasOwn(AURAS, aura.id) && Number.isFinite(aura.remaining) && aura.remaining >= 0)
+        .slice(0, NETWORK.MAX_STATUS_AURAS)
+        .map(({ id, remaining }) => ({ id, remaining }))
+    };
+    STATUS_NUMBERS.forEach((key) => {
+      sanitized[key] = status[key];
+    });
+    const name = sanitizePlayerName(status.name);
+    if (name && !isNameTaken(name)) {
+      sanitized.name = name;
+    }
+    this.status = sanitized;
+
+    // The client's word on its own death, it can't come back to life until it respawns
+    if (this.dead) {
+      sanitized.health = 0;
+    } else if (sanitized.health === 0) {
+      this.die();
+    }
+    return true;
+  }
+
+  updateAnimation() {
+    if (this.dead || this.actionTimer > 0) return;
+    this.currentAnimation = getMovementAnimation(this.movement, this.input);
+  }
+
+  serialize() {
+    return {
+      id: this.id,
+      position: { x: this.movement.x, y: this.movement.y, z: this.movement.z },
+      rotation: this.movement.rotation,
+      animation: this.currentAnimation,
+      lastProcessedInput: this.lastProcessedInput
+    };
+  }
+}
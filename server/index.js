@@ -0,0 +1,16 @@
+import { GameServer } from './GameServer.js';
+import { NETWORK } from '../js/core/Constants.js';
+
+const port = Number(process.env.PORT) || NETWORK.SERVER_PORT;
+const server = new GameServer({ port });
+
+server.start();
+
+const shutdown = () => {
+  console.log('[GameServer][shutdown] Stopping...');
+  server.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);